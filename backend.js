@@ -0,0 +1,85 @@
+/**
+ * BACKEND.JS - Training in a Web Worker (page side)
+ * Trains in worker.js instead of the page's own loop, so fast training never
+ * blocks the UI. The worker has its own Game, Population and Trainer; the page
+ * gets sampled frames to draw, stats to show and checkpoints to chart and save.
+ *
+ * Messages carry the epoch of the run they belong to. reset() and load() start
+ * a new epoch, so anything the worker sent about the previous run is dropped.
+ *   page -> worker: init { width, height }, reset { seed, config },
+ *                   load { checkpoint }, start, pause
+ *   worker -> page: frame { frame }, stats { stats }, snapshot { checkpoint, recordings }
+ * A frame is { frameCount, gameSpeed, aliveCount, obstacles, best }, where best is
+ * the leading dino ({ x, y, width, height, isAlive, score, inputs }, plus its brain
+ * as JSON whenever the leader changes, and the values of its neurons per layer
+ * (activations) if the brain is recurrent) or null. stats is Trainer.getStats(); a
+ * snapshot is Trainer.toJSON(), sent after generations (at most once per second) and on pause,
+ * with the replays recorded since the previous snapshot (see replay.js).
+ */
+
+// ============================================================================
+// WORKER BACKEND - Emits 'frame', 'stats', 'snapshot' and 'error'
+// ============================================================================
+class WorkerBackend extends EventEmitter {
+    /**
+     * @param {number} width - Game canvas size
+     * @param {number} height
+     * @param {string} script - Worker script URL
+     * @throws {Error} If the browser cannot start the worker (e.g. pages opened from file://)
+     */
+    constructor(width, height, script = 'worker.js') {
+        super();
+        this.epoch = 0;
+
+        this.worker = new Worker(script);
+        this.worker.onmessage = (e) => this.receive(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.emit('error', new Error(e.message || 'Training worker failed'));
+        };
+        this.post('init', { width, height });
+    }
+
+    /**
+     * Start a new run in the worker
+     * @param {number} seed
+     * @param {Object} config - { population, game, training }
+     */
+    reset(seed, config) {
+        this.epoch++;
+        this.post('reset', { seed, config });
+    }
+
+    /**
+     * Continue a run in the worker
+     * @param {Object} checkpoint - Trainer.toJSON()
+     */
+    load(checkpoint) {
+        this.epoch++;
+        this.post('load', { checkpoint });
+    }
+
+    start() {
+        this.post('start');
+    }
+
+    /**
+     * Stop training; the worker answers with a last frame, stats and snapshot
+     */
+    pause() {
+        this.post('pause');
+    }
+
+    terminate() {
+        this.worker.terminate();
+    }
+
+    post(type, data = {}) {
+        this.worker.postMessage({ type, epoch: this.epoch, ...data });
+    }
+
+    receive(message) {
+        if (message.epoch !== this.epoch) return;     // About a run that was replaced
+        this.emit(message.type, message);
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * BENCH.JS - How fast brains think
+ * Times the forward pass of a population of fixed networks three ways: the
+ * nested-array version brains used before NetworkBatch (kept here for
+ * comparison), NeuralNetwork.predict() one dino at a time, and one
+ * NetworkBatch pass for everyone. Then it plays a track with the whole
+ * population, batched and not. Every way must give exactly the same outputs
+ * and scores, or the benchmark fails.
+ *
+ *   node bench.js --sizes 1000,2000,5000
+ *
+ * Run with --help for every option.
+ */
+
+const { parseArgs } = require('util');
+const { Game, Dino, NeuralNetwork, NetworkBatch, ACTIVATIONS, SeededRandom, defaultConfig } = require('./headless.js');
+
+const USAGE = `Usage: node bench.js [options]
+
+  --sizes LIST        Population sizes, comma separated (default 1000,2000,5000)
+  --hidden LIST       Neurons per hidden layer, comma separated (default ${defaultConfig().population.hiddenLayers})
+  --time MS           How long each forward pass version is timed, per size (default 1000)
+  --frames N          Frame limit of the played track (default 2000)
+  --seed N            Seed of the brains, inputs and track (default 1)
+  --help              Show this help`;
+
+const OPTIONS = {
+    sizes: { type: 'string', default: '1000,2000,5000' },
+    hidden: { type: 'string' },
+    time: { type: 'string', default: '1000' },
+    frames: { type: 'string', default: '2000' },
+    seed: { type: 'string', default: '1' },
+    help: { type: 'boolean', default: false }
+};
+
+/**
+ * Parse a whole number of at least 1
+ * @throws {Error} If it isn't one
+ */
+function readCount(value, name) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`--${name} must be a whole number of at least 1`);
+    }
+    return count;
+}
+
+// ============================================================================
+// NESTED-ARRAY FORWARD PASS - How NeuralNetwork.predict() used to work
+// ============================================================================
+
+/**
+ * Forward pass on weights saved as rows (NeuralNetwork.toJSON()), building
+ * new arrays at every step like the original matrix code
+ * @param {Object} data - NeuralNetwork.toJSON()
+ * @param {number[]} inputArray
+ * @returns {number[]}
+ */
+function nestedPredict(data, inputArray) {
+    const multiply = (a, b) => a.map(row => b[0].map((_, j) => {
+        let sum = 0;
+        for (let k = 0; k < row.length; k++) {
+            sum += row[k] * b[k][j];
+        }
+        return sum;
+    }));
+    const layer = (weights, bias, activate, inputs) =>
+        multiply(weights, inputs).map((row, i) => row.map(value => activate(value + bias[i])));
+
+    let values = inputArray.map(x => [x]);
+    data.weights.forEach((weights, l) => {
+        values = layer(weights, data.biases[l], ACTIVATIONS[data.activations[l]].apply, values);
+    });
+    return values.map(row => row[0]);
+}
+
+// ============================================================================
+// MEASUREMENTS
+// ============================================================================
+
+/**
+ * Run pass() until ms have passed
+ * @returns {number} Passes per second
+ */
+function timed(pass, ms) {
+    pass();                             // Warm up
+    let passes = 0;
+    const started = process.hrtime.bigint();
+    let elapsed = 0;
+    while (elapsed < ms) {
+        pass();
+        passes++;
+        elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+    }
+    return passes * 1000 / elapsed;
+}
+
+/**
+ * Largest difference between two lists of outputs
+ */
+function maxDifference(a, b) {
+    let max = 0;
+    a.forEach((outputs, n) => outputs.forEach((value, o) => {
+        max = Math.max(max, Math.abs(value - b[n][o]));
+    }));
+    return max;
+}
+
+/**
+ * Forward passes of size networks: predictions (one brain, one input set) per second
+ */
+function benchForward(networks, inputs, ms) {
+    const size = networks.length;
+    const nested = networks.map(network => network.toJSON());
+    const batch = new NetworkBatch(networks);
+    inputs.forEach((values, n) => batch.inputs.set(values, n * batch.inputCount));
+
+    const results = {
+        nested: nested.map((data, n) => nestedPredict(data, inputs[n])),
+        single: networks.map((network, n) => Array.from(network.predict(inputs[n])))
+    };
+    batch.predict();
+    results.batch = networks.map((network, n) => Array.from(batch.getOutputs(n)));
+
+    const difference = Math.max(maxDifference(results.nested, results.single), maxDifference(results.nested, results.batch));
+    if (difference !== 0) {
+        throw new Error(`Forward passes disagree by up to ${difference} (population ${size})`);
+    }
+
+    return {
+        nested: size * timed(() => nested.forEach((data, n) => nestedPredict(data, inputs[n])), ms),
+        single: size * timed(() => networks.forEach((network, n) => network.predict(inputs[n])), ms),
+        batch: size * timed(() => batch.predict(), ms)
+    };
+}
+
+/**
+ * The whole population on one track, batched or one dino at a time
+ * @returns {Object} { scores, rate: frames played per second, summed over the living dinos }
+ */
+function benchGame(networks, track, maxFrames, batched) {
+    const game = new Game({ width: 1000, height: 400, ...defaultConfig().game });
+    const dinos = networks.map(network => new Dino(network));
+    game.reset(dinos, track);
+    if (!batched) {
+        game.batch = null;
+    }
+
+    let dinoFrames = 0;
+    const started = process.hrtime.bigint();
+    while (game.aliveCount > 0 && game.frameCount < maxFrames) {
+        dinoFrames += game.aliveCount;
+        game.step();
+    }
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e9;
+    return { scores: dinos.map(dino => dino.score), rate: dinoFrames / elapsed };
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+function main() {
+    const { values } = parseArgs({ options: OPTIONS });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const sizes = values.sizes.split(',').map(size => readCount(size, 'sizes'));
+    const hiddenLayers = values.hidden ? values.hidden.split(',').map(size => readCount(size, 'hidden'))
+        : defaultConfig().population.hiddenLayers;
+    const ms = readCount(values.time, 'time');
+    const maxFrames = readCount(values.frames, 'frames');
+    const seed = Number(values.seed);
+
+    const probe = new Game({ width: 1000, height: 400, ...defaultConfig().game });
+    const inputCount = probe.getInputLabels().length;
+    const outputCount = probe.getOutputLabels().length;
+    console.log(`Brains: ${inputCount} inputs, ${hiddenLayers.join('-')} hidden, ${outputCount} outputs; ` +
+        `rates in thousands per second`);
+    console.log(['population', 'nested', 'predict()', 'batch', 'speedup', 'game', 'game batched', 'speedup']
+        .map(title => title.padStart(13)).join(''));
+
+    for (const size of sizes) {
+        const rng = new SeededRandom(seed);
+        const networks = [];
+        const inputs = [];
+        for (let n = 0; n < size; n++) {
+            networks.push(new NeuralNetwork(inputCount, hiddenLayers, outputCount, rng));
+            inputs.push(Array.from({ length: inputCount }, () => rng.random()));
+        }
+
+        const forward = benchForward(networks, inputs, ms);
+        const track = { seed: rng.nextSeed() };
+        benchGame(networks, track, maxFrames, false);      // Warm up
+        benchGame(networks, track, maxFrames, true);
+        const single = benchGame(networks, track, maxFrames, false);
+        const batched = benchGame(networks, track, maxFrames, true);
+        if (single.scores.some((score, n) => score !== batched.scores[n])) {
+            throw new Error(`Batched game scores differ from unbatched ones (population ${size})`);
+        }
+
+        const rate = value => (value / 1000).toFixed(0);
+        const speedup = (value, base) => `${(value / base).toFixed(1)}x`;
+        console.log([
+            size, rate(forward.nested), rate(forward.single), rate(forward.batch), speedup(forward.batch, forward.nested),
+            rate(single.rate), rate(batched.rate), speedup(batched.rate, single.rate)
+        ].map(value => String(value).padStart(13)).join(''));
+    }
+    console.log('Outputs and scores identical in every version');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
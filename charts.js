@@ -0,0 +1,207 @@
+/**
+ * CHARTS.JS - Training history
+ * Plots Population.history (one entry per finished generation) as a line
+ * chart, and formats it as CSV for comparing runs in a spreadsheet
+ */
+
+// ============================================================================
+// HISTORY EXPORT - CSV columns, in order
+// ============================================================================
+const HISTORY_COLUMNS = ['generation', 'best', 'mean', 'median', 'worst', 'std', 'bestScore', 'survivors', 'gameSpeed', 'level', 'validation', 'validationLevel'];
+
+/**
+ * Format a population history as CSV (header row + one row per generation)
+ * @param {Object[]} history - Population.history
+ * @returns {string}
+ */
+function historyToCSV(history) {
+    const rows = history.map(entry =>
+        HISTORY_COLUMNS.map(column => entry[column] === undefined ? '' : entry[column]).join(',')
+    );
+    return [HISTORY_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// ============================================================================
+// HISTORY CHART - Per-generation line chart
+// ============================================================================
+class HistoryChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 16, right: 16, bottom: 28, left: 56 };
+        this.metric = 'fitness';
+
+        // What each metric plots: a line per series, optionally a ±std band around one
+        this.metrics = {
+            fitness: {
+                band: 'mean',
+                series: [
+                    { key: 'best', label: 'Best', color: '#10b981' },
+                    { key: 'mean', label: 'Mean', color: '#6366f1' },
+                    { key: 'median', label: 'Median', color: '#8b5cf6' },
+                    { key: 'worst', label: 'Worst', color: '#ef4444' }
+                ]
+            },
+            validation: {
+                series: [
+                    { key: 'bestScore', label: 'Best score', color: '#10b981' },
+                    { key: 'validation', label: 'Validation', color: '#f59e0b' }
+                ]
+            },
+            survivors: {
+                series: [{ key: 'survivors', label: 'Survivors', color: '#f59e0b' }]
+            },
+            gameSpeed: {
+                series: [{ key: 'gameSpeed', label: 'Game speed', color: '#3b82f6' }]
+            },
+            level: {
+                series: [{ key: 'level', label: 'Level', color: '#8b5cf6' }]
+            }
+        };
+
+        // Colors
+        this.colors = {
+            background: '#1a1f3a',
+            grid: 'rgba(71, 85, 105, 0.5)',
+            band: 'rgba(99, 102, 241, 0.15)',
+            text: '#64748b'
+        };
+    }
+
+    /**
+     * Redraw from a population history
+     * @param {Object[]} history - Population.history
+     */
+    draw(history) {
+        const ctx = this.ctx;
+        const { top, right, bottom, left } = this.padding;
+        const width = this.canvas.width - left - right;
+        const height = this.canvas.height - top - bottom;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (history.length === 0) {
+            ctx.fillStyle = this.colors.text;
+            ctx.font = '14px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText('Finish a generation to start the chart', this.canvas.width / 2, this.canvas.height / 2);
+            ctx.textAlign = 'start';
+            return;
+        }
+
+        const metric = this.metrics[this.metric];
+        const max = this.getMax(history, metric) || 1;
+        const first = history[0].generation;
+        const span = Math.max(1, history[history.length - 1].generation - first);
+        const toX = generation => left + width * (generation - first) / span;
+        const toY = value => top + height * (1 - value / max);
+
+        this.drawAxes(first, first + span, max, toX, toY);
+
+        // Spread band (mean ± std), clipped to the chart
+        if (metric.band) {
+            ctx.fillStyle = this.colors.band;
+            ctx.beginPath();
+            history.forEach(e => ctx.lineTo(toX(e.generation), toY(Math.min(max, e[metric.band] + e.std))));
+            for (let i = history.length - 1; i >= 0; i--) {
+                const e = history[i];
+                ctx.lineTo(toX(e.generation), toY(Math.max(0, e[metric.band] - e.std)));
+            }
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // One line per series (a single generation shows as a dot)
+        ctx.lineWidth = 2;
+        for (const series of metric.series) {
+            ctx.strokeStyle = series.color;
+            ctx.fillStyle = series.color;
+            if (history.length === 1) {
+                ctx.beginPath();
+                ctx.arc(toX(first), toY(history[0][series.key] || 0), 3, 0, Math.PI * 2);
+                ctx.fill();
+                continue;
+            }
+            ctx.beginPath();
+            history.forEach(e => ctx.lineTo(toX(e.generation), toY(e[series.key] || 0)));
+            ctx.stroke();
+        }
+
+        this.drawLegend(metric.series);
+    }
+
+    /**
+     * Largest value any plotted series (or band) reaches
+     */
+    getMax(history, metric) {
+        let max = 0;
+        for (const entry of history) {
+            for (const series of metric.series) {
+                max = Math.max(max, entry[series.key] || 0);
+            }
+            if (metric.band) {
+                max = Math.max(max, entry[metric.band] + entry.std);
+            }
+        }
+        return max;
+    }
+
+    /**
+     * Horizontal grid lines with value labels, and the generation range below
+     */
+    drawAxes(firstGeneration, lastGeneration, max, toX, toY) {
+        const ctx = this.ctx;
+        const { left, right } = this.padding;
+        const gridLines = 4;
+
+        ctx.font = '11px Inter';
+        ctx.strokeStyle = this.colors.grid;
+        ctx.fillStyle = this.colors.text;
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= gridLines; i++) {
+            const value = max * i / gridLines;
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(this.canvas.width - right, y);
+            ctx.stroke();
+
+            ctx.textAlign = 'right';
+            ctx.fillText(value >= 100 ? Math.round(value) : value.toFixed(1), left - 6, y + 4);
+        }
+
+        const labelY = this.canvas.height - 8;
+        ctx.textAlign = 'left';
+        ctx.fillText(`Gen ${firstGeneration}`, toX(firstGeneration), labelY);
+        ctx.textAlign = 'right';
+        ctx.fillText(`Gen ${lastGeneration}`, toX(lastGeneration), labelY);
+        ctx.textAlign = 'start';
+    }
+
+    /**
+     * Color key in the top-left corner
+     */
+    drawLegend(series) {
+        const ctx = this.ctx;
+        let x = this.padding.left + 8;
+        const y = this.padding.top + 10;
+
+        ctx.font = '11px Inter';
+        for (const { label, color } of series) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 7, 10, 3);
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(label, x + 14, y);
+            x += ctx.measureText(label).width + 28;
+        }
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HISTORY_COLUMNS, historyToCSV, HistoryChart };
+}
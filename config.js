@@ -0,0 +1,191 @@
+/**
+ * CONFIG.JS - Run settings
+ * Describes every tunable setting of a run (population, game and training), with the
+ * limits used to validate them. The settings panel is built from this list.
+ * Fields have a numeric range (min/max), a list of options, a registry to
+ * pick one entry (choice) or several (choices) from, or take a list (up to
+ * maxItems) of whole numbers in a range or of a registry's keys (list plus choice)
+ */
+
+// ============================================================================
+// CONFIG FIELDS - Every setting, its limits and how the panel shows it
+// ============================================================================
+const CONFIG_FIELDS = [
+    // Population (see Population.configure)
+    { group: 'population', key: 'size', label: 'Population size', min: 2, max: 500, integer: true },
+    { group: 'population', key: 'brainType', label: 'Brain type', options: ['neat', 'fixed', 'recurrent'] },
+    { group: 'population', key: 'hiddenLayers', label: 'Hidden layers (fixed brain)', list: true, min: 1, max: 64, maxItems: 4 },
+    { group: 'population', key: 'hiddenActivations', label: 'Hidden activations, one per layer or one for all (fixed brain)',
+        list: true, choice: ACTIVATIONS, maxItems: 4 },
+    { group: 'population', key: 'outputActivation', label: 'Output activation (fixed brain)', choice: ACTIVATIONS },
+    { group: 'population', key: 'optimizer', label: 'Optimizer (ga = genetic algorithm, es = evolution strategies)', options: ['ga', 'es'] },
+    { group: 'population', key: 'mutationRate', label: 'Mutation rate', min: 0, max: 1, step: 0.01 },
+    { group: 'population', key: 'mutationPower', label: 'Mutation power', min: 0, max: 5, step: 0.05 },
+    { group: 'population', key: 'elitismCount', label: 'Elites kept', min: 0, max: 500, integer: true },
+    { group: 'population', key: 'selection', label: 'Selection', choice: SELECTION_STRATEGIES },
+    { group: 'population', key: 'tournamentSize', label: 'Tournament size', min: 1, max: 50, integer: true },
+    { group: 'population', key: 'crossover', label: 'Crossover', choice: CROSSOVER_STRATEGIES },
+    { group: 'population', key: 'mutation', label: 'Mutation', choice: MUTATION_STRATEGIES },
+    { group: 'population', key: 'fitness', label: 'Fitness', choice: FITNESS_FUNCTIONS },
+    { group: 'population', key: 'esSigma', label: 'ES noise (sigma)', min: 0.001, max: 2, step: 0.01 },
+    { group: 'population', key: 'esLearningRate', label: 'ES learning rate', min: 0.0001, max: 1, step: 0.001 },
+
+    // Game (see Game.configure)
+    { group: 'game', key: 'difficulty', label: 'Difficulty', options: ['adaptive', 'random', 'fixed'] },
+    { group: 'game', key: 'levelUpObstacles', label: 'Obstacles to level up', min: 1, max: 100, integer: true },
+    { group: 'game', key: 'baseSpeed', label: 'Start speed', min: 1, max: 30, step: 0.5 },
+    { group: 'game', key: 'maxGameSpeed', label: 'Max speed', min: 1, max: 50, step: 0.5 },
+    { group: 'game', key: 'obstacleSpawnInterval', label: 'Frames between obstacles (fixed)', min: 20, max: 600, integer: true },
+    { group: 'game', key: 'birdChance', label: 'Bird chance', min: 0, max: 1, step: 0.05 },
+    { group: 'game', key: 'gravity', label: 'Gravity', min: 0.1, max: 5, step: 0.05 },
+    { group: 'game', key: 'jumpStrength', label: 'Jump strength', min: 1, max: 50, step: 0.5 },
+    { group: 'game', key: 'jumpThreshold', label: 'Action threshold', min: 0, max: 1, step: 0.05 },
+
+    // Sensors (brain inputs; see sensors.js)
+    { group: 'game', key: 'sensors', label: 'Sensors', choices: SENSORS },
+    { group: 'game', key: 'lookahead', label: 'Obstacles seen ahead', min: 1, max: 5, integer: true },
+    { group: 'game', key: 'visionRays', label: 'Vision rays', min: 1, max: 16, integer: true },
+
+    // Training (see Trainer.configure)
+    { group: 'training', key: 'tracks', label: 'Tracks per generation', min: 1, max: 10, integer: true },
+    { group: 'training', key: 'aggregate', label: 'Fitness over tracks', options: ['mean', 'min'] },
+    { group: 'training', key: 'validationFrames', label: 'Validation frames (0 = off)', min: 0, max: 100000, integer: true },
+    { group: 'training', key: 'validationLevel', label: 'Validation level (adaptive difficulty)', min: 0, max: MAX_LEVEL, integer: true },
+    { group: 'training', key: 'replays', label: 'Generations kept as replays (0 = off)', min: 0, max: 50, integer: true },
+    { group: 'training', key: 'hallOfFameSize', label: 'Hall of fame size (0 = off)', min: 0, max: 50, integer: true }
+];
+
+/**
+ * Settings of a fresh run
+ * @returns {Object} { population, game, training }
+ */
+function defaultConfig() {
+    return {
+        population: {
+            size: 15, brainType: 'neat', hiddenLayers: [6], hiddenActivations: ['sigmoid'], outputActivation: 'sigmoid',
+            optimizer: 'ga', ...POPULATION_DEFAULTS
+        },
+        game: { ...GAME_DEFAULTS, sensors: [...GAME_DEFAULTS.sensors] },
+        training: { ...TRAINING_DEFAULTS }
+    };
+}
+
+/**
+ * Check settings against CONFIG_FIELDS. Missing values take their default,
+ * numeric strings (e.g. from form inputs) are converted, and lists may be
+ * given as comma-separated text (e.g. '8, 8' or 'relu, tanh').
+ * @param {Object} config - { population, game, training }, possibly partial
+ * @returns {Object} Complete, validated settings
+ * @throws {Error} Listing every invalid setting
+ */
+function validateConfig(config) {
+    const result = defaultConfig();
+    const problems = [];
+
+    // Saved before fixed brains had several hidden layers: one layer of hiddenCount neurons
+    const population = config.population || {};
+    if (population.hiddenLayers === undefined && population.hiddenCount !== undefined) {
+        config = { ...config, population: { ...population, hiddenLayers: [population.hiddenCount] } };
+    }
+    // Saved before per-layer activations: one hiddenActivation for every hidden layer
+    if (population.hiddenActivations === undefined && population.hiddenActivation !== undefined) {
+        config = { ...config, population: { ...config.population, hiddenActivations: [population.hiddenActivation] } };
+    }
+
+    for (const field of CONFIG_FIELDS) {
+        const raw = config[field.group] && config[field.group][field.key];
+        if (raw === undefined || raw === '') continue;
+
+        if (field.choices) {
+            // Several of the registry's keys, kept in registry order
+            const known = Object.keys(field.choices);
+            const picked = [].concat(raw);
+            const unknown = picked.filter(name => !known.includes(name));
+            if (unknown.length > 0) {
+                problems.push(`${field.label}: unknown ${unknown.join(', ')}`);
+            } else if (picked.length === 0) {
+                problems.push(`${field.label}: pick at least one`);
+            } else {
+                result[field.group][field.key] = known.filter(name => picked.includes(name));
+            }
+            continue;
+        }
+
+        if (field.list && field.choice) {
+            const names = (typeof raw === 'string' ? raw.split(',') : [].concat(raw)).map(name => String(name).trim());
+            const known = Object.keys(field.choice);
+            const unknown = names.filter(name => !known.includes(name));
+            if (unknown.length > 0) {
+                problems.push(`${field.label}: unknown ${unknown.join(', ')} (use ${known.join(', ')})`);
+            } else if (names.length === 0 || names.length > field.maxItems) {
+                problems.push(`${field.label} must be 1 to ${field.maxItems} of ${known.join(', ')}`);
+            } else {
+                result[field.group][field.key] = names;
+            }
+            continue;
+        }
+
+        if (field.list) {
+            const values = (typeof raw === 'string' ? raw.split(',') : [].concat(raw)).map(Number);
+            if (values.length === 0 || values.length > field.maxItems ||
+                values.some(value => !Number.isInteger(value) || value < field.min || value > field.max)) {
+                problems.push(`${field.label} must be 1 to ${field.maxItems} whole numbers between ${field.min} and ${field.max}`);
+            } else {
+                result[field.group][field.key] = values;
+            }
+            continue;
+        }
+
+        if (field.choice) {
+            if (!Object.keys(field.choice).includes(raw)) {
+                problems.push(`${field.label}: unknown ${raw}`);
+                continue;
+            }
+            result[field.group][field.key] = raw;
+            continue;
+        }
+
+        if (field.options) {
+            if (!field.options.includes(raw)) {
+                problems.push(`${field.label} must be one of ${field.options.join(', ')}`);
+                continue;
+            }
+            result[field.group][field.key] = raw;
+            continue;
+        }
+
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < field.min || value > field.max) {
+            problems.push(`${field.label} must be between ${field.min} and ${field.max}`);
+        } else if (field.integer && !Number.isInteger(value)) {
+            problems.push(`${field.label} must be a whole number`);
+        } else {
+            result[field.group][field.key] = value;
+        }
+    }
+
+    // Limits that depend on other settings
+    if (result.population.elitismCount > result.population.size) {
+        problems.push('Elites kept cannot exceed the population size');
+    }
+    const { hiddenLayers, hiddenActivations } = result.population;
+    if (hiddenActivations.length > 1 && hiddenActivations.length !== hiddenLayers.length) {
+        problems.push(`Hidden activations: give one for all hidden layers or one per layer (${hiddenLayers.length})`);
+    }
+    if (result.population.optimizer === 'es' && result.population.brainType === 'neat') {
+        problems.push('Evolution strategies need a fixed or recurrent brain type');
+    }
+    if (result.game.maxGameSpeed < result.game.baseSpeed) {
+        problems.push('Max speed cannot be below the start speed');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+    return result;
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG_FIELDS, defaultConfig, validateConfig };
+}
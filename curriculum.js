@@ -0,0 +1,243 @@
+/**
+ * CURRICULUM.JS - Difficulty and obstacle placement
+ * Decides when obstacles spawn, which ones, and how fast the game gets.
+ * Game.difficulty picks the mode:
+ *   'fixed'    - the original rule: one obstacle every obstacleSpawnInterval
+ *                frames, +0.5 speed every 300 frames
+ *   'random'   - random spacing, clusters and patterns at full difficulty
+ *   'adaptive' - like 'random', but starts easy and goes up a level once the
+ *                median dino of a generation clears levelUpObstacles obstacles
+ */
+
+// ============================================================================
+// PATTERNS - Named obstacle sequences
+// ============================================================================
+
+/**
+ * Each step places one obstacle: { kind, type (index into OBSTACLE_TYPES[kind]),
+ * gap }. gap is the space before the next step in units of the minimum safe
+ * gap (0 = back to back, forming a cluster). Patterns appear from minLevel on.
+ */
+const OBSTACLE_PATTERNS = {
+    rapidFire: {
+        minLevel: 2,
+        steps: [
+            { kind: 'cactus', type: 1, gap: 1 },
+            { kind: 'cactus', type: 1, gap: 1 },
+            { kind: 'cactus', type: 1, gap: 1.5 }
+        ]
+    },
+    stairs: {
+        minLevel: 3,
+        steps: [
+            { kind: 'cactus', type: 1, gap: 1 },    // Medium
+            { kind: 'cactus', type: 0, gap: 1 },    // Tall
+            { kind: 'cactus', type: 2, gap: 1.5 }   // Very tall
+        ]
+    },
+    duckThenJump: {
+        minLevel: 4,
+        steps: [
+            { kind: 'bird', type: 1, gap: 1 },      // Middle bird: duck
+            { kind: 'cactus', type: 0, gap: 1.5 }
+        ]
+    },
+    stayDownThenJump: {
+        minLevel: 5,
+        steps: [
+            { kind: 'bird', type: 2, gap: 1 },      // High bird: don't jump
+            { kind: 'bird', type: 0, gap: 1.5 }     // Low bird: jump
+        ]
+    },
+    wall: {
+        minLevel: 6,
+        steps: [
+            { kind: 'cactus', type: 1, gap: 0 },
+            { kind: 'cactus', type: 0, gap: 0 },
+            { kind: 'cactus', type: 1, gap: 1.5 }
+        ]
+    }
+};
+
+const MAX_LEVEL = 9;
+const SPEED_PER_LEVEL = 1;              // Adaptive mode: speed cap = baseSpeed + level * this
+const BIRD_LEVEL = 2;                   // Birds appear from this level on
+const CLUSTER_GAP = 2;                  // px between cacti in a cluster
+
+// ============================================================================
+// CURRICULUM - Owned by a Game, drives its spawning and speed
+// ============================================================================
+class Curriculum {
+    /**
+     * @param {Game} game
+     */
+    constructor(game) {
+        this.game = game;
+        this.level = 0;                     // Adaptive mode only; survives game resets
+        this.queue = [];                    // Steps of the pattern being placed
+        this.framesUntilSpawn = 0;
+    }
+
+    /**
+     * Difficulty level in effect (random mode always plays the hardest)
+     * @returns {number}
+     */
+    getLevel() {
+        if (this.game.difficulty === 'random') return MAX_LEVEL;
+        if (this.game.difficulty === 'fixed') return 0;
+        return this.level;
+    }
+
+    /**
+     * Fastest the game may get at the current level
+     * @returns {number}
+     */
+    getSpeedCap() {
+        const { difficulty, baseSpeed, maxGameSpeed } = this.game;
+        if (difficulty !== 'adaptive') return maxGameSpeed;
+        return Math.min(maxGameSpeed, baseSpeed + this.level * SPEED_PER_LEVEL);
+    }
+
+    /**
+     * A new course: place the first obstacle
+     */
+    start() {
+        this.queue = [];
+        this.framesUntilSpawn = 0;
+        if (this.game.difficulty === 'fixed') {
+            this.game.spawnObstacle();
+        } else {
+            this.spawnNext();
+        }
+    }
+
+    /**
+     * One frame: speed up and spawn as due
+     */
+    update() {
+        const game = this.game;
+
+        // Increase speed over time (every 300 frames)
+        if (game.frameCount % 300 === 0 && game.gameSpeed < this.getSpeedCap()) {
+            game.gameSpeed = Math.min(this.getSpeedCap(), game.gameSpeed + 0.5);
+        }
+
+        if (game.difficulty === 'fixed') {
+            if (game.frameCount % game.obstacleSpawnInterval === 0) {
+                game.spawnObstacle();
+            }
+        } else if (--this.framesUntilSpawn <= 0) {
+            this.spawnNext();
+        }
+    }
+
+    /**
+     * Place the next obstacle (plus any cluster members right behind it) and
+     * schedule the one after
+     */
+    spawnNext() {
+        if (this.queue.length === 0) {
+            this.queue = this.planChunk();
+        }
+
+        // Back-to-back steps go out together as a cluster
+        const game = this.game;
+        let offset = 0;
+        let step;
+        do {
+            step = this.queue.shift();
+            const obstacle = game.spawnObstacle(offset, step.kind ? step : null, this.getBirdChance());
+            offset += obstacle.width + CLUSTER_GAP;
+        } while (step.gap === 0 && this.queue.length > 0);
+
+        // Spacing scales with speed, so there is always room to land and jump again
+        const gap = this.getMinGap() * step.gap;
+        this.framesUntilSpawn = Math.ceil((offset + gap) / game.gameSpeed);
+    }
+
+    /**
+     * Choose what comes next: a pattern, a cluster or a single obstacle
+     * @returns {Object[]} Steps (see OBSTACLE_PATTERNS); kind null = random obstacle
+     */
+    planChunk() {
+        const rng = this.game.courseRng;
+        const level = this.getLevel();
+        const spacing = () => 1 + rng.random() * Math.max(0.5, 1.5 - 0.1 * level);
+
+        const patterns = Object.values(OBSTACLE_PATTERNS).filter(p => p.minLevel <= level);
+        if (patterns.length > 0 && rng.random() < Math.min(0.3, 0.05 * level)) {
+            const pattern = patterns[Math.floor(rng.random() * patterns.length)];
+            return pattern.steps.map(step => ({ ...step }));
+        }
+
+        if (level >= 1 && rng.random() < Math.min(0.4, 0.06 * level)) {
+            const size = level >= 4 && rng.random() < 0.5 ? 3 : 2;
+            const cluster = [];
+            for (let i = 0; i < size; i++) {
+                const type = 1 + Math.floor(rng.random() * 2);      // Medium or very tall
+                cluster.push({ kind: 'cactus', type, gap: 0 });
+            }
+            cluster[size - 1].gap = spacing();
+            return cluster;
+        }
+
+        return [{ kind: null, type: 0, gap: spacing() }];
+    }
+
+    /**
+     * Share of random obstacles that are birds at the current level
+     * @returns {number}
+     */
+    getBirdChance() {
+        return this.getLevel() >= BIRD_LEVEL ? this.game.birdChance : 0;
+    }
+
+    /**
+     * Smallest gap (px) a dino can always clear: a full jump's length at the
+     * current speed, plus some slack
+     * @returns {number}
+     */
+    getMinGap() {
+        const airtime = 2 * this.game.jumpStrength / this.game.gravity;
+        return this.game.gameSpeed * airtime * 1.1;
+    }
+
+    /**
+     * Adaptive mode: go up a level once the median dino cleared enough obstacles
+     * @param {number[]} obstaclesCleared - Per dino of the finished generation
+     * @returns {boolean} True if the level went up
+     */
+    endGeneration(obstaclesCleared) {
+        if (this.game.difficulty !== 'adaptive' || this.level >= MAX_LEVEL || obstaclesCleared.length === 0) {
+            return false;
+        }
+
+        const cleared = [...obstaclesCleared].sort((a, b) => a - b);
+        const median = cleared[Math.floor(cleared.length / 2)];
+        if (median >= this.game.levelUpObstacles) {
+            this.level++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Progress to save in checkpoints
+     */
+    toJSON() {
+        return { level: this.level };
+    }
+
+    /**
+     * Restore progress saved with toJSON()
+     * @param {Object} data
+     */
+    restore(data) {
+        this.level = data.level;
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OBSTACLE_PATTERNS, MAX_LEVEL, Curriculum };
+}
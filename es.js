@@ -0,0 +1,158 @@
+/**
+ * ES.JS - Evolution strategies
+ * An alternative to the genetic algorithm for fixed (and recurrent) networks:
+ * instead of breeding the best brains, it keeps one search point (the mean
+ * weight vector), plays brains sampled around it and moves it in the direction
+ * that scored better (OpenAI-ES: antithetic Gaussian noise, rank-based fitness
+ * shaping and Adam steps). Population uses it when its optimizer is 'es'.
+ */
+
+const ADAM_BETA1 = 0.9;                 // Decay of the running mean of steps
+const ADAM_BETA2 = 0.999;               // Decay of the running mean of squared steps
+const ADAM_EPSILON = 1e-8;
+
+// ============================================================================
+// EVOLUTION STRATEGY - Natural gradient search over one weight vector
+// ============================================================================
+class EvolutionStrategy {
+    /**
+     * @param {ArrayLike<number>} mean - Starting weights (NeuralNetwork.getWeights())
+     */
+    constructor(mean) {
+        this.mean = Float64Array.from(mean);
+        this.sigma = 0;                     // Noise of the last sample()
+        this.noiseSeed = null;              // Draws the last sample()'s noise again in update()
+        this.count = 0;                     // Weight vectors in the last sample()
+
+        // Adam optimizer state
+        this.moment = new Float64Array(this.mean.length);
+        this.velocity = new Float64Array(this.mean.length);
+        this.steps = 0;
+    }
+
+    /**
+     * Weight vectors to play this generation: the mean itself, then pairs of
+     * mirrored perturbations (mean + sigma * noise and mean - sigma * noise)
+     * @param {number} count
+     * @param {number} sigma - Standard deviation of the noise
+     * @param {SeededRandom} rng
+     * @returns {Float64Array[]}
+     */
+    sample(count, sigma, rng) {
+        this.sigma = sigma;
+        this.noiseSeed = rng.nextSeed();
+        this.count = count;
+        return [this.mean.slice(), ...this.noise().map(noise => noise.map((value, i) => this.mean[i] + sigma * value))];
+    }
+
+    /**
+     * The noise of the last sample(), one vector per perturbed weight vector
+     * (count - 1 of them; the one left over by an even count has no mirror)
+     * @returns {Float64Array[]}
+     */
+    noise() {
+        const rng = new SeededRandom(this.noiseSeed);
+        const noise = [];
+        while (noise.length < this.count - 1) {
+            const vector = new Float64Array(this.mean.length);
+            for (let i = 0; i < vector.length; i++) {
+                vector[i] = rng.gaussian();
+            }
+            noise.push(vector, vector.map(value => -value));
+        }
+        return noise.slice(0, this.count - 1);
+    }
+
+    /**
+     * Move the mean towards the perturbations that scored better. Scores only
+     * count by rank (centered between -0.5 and 0.5), so outliers don't take over.
+     * @param {number[]} scores - Fitness of each weight vector of the last sample(), in order
+     * @param {number} learningRate - Adam step size
+     */
+    update(scores, learningRate) {
+        const noise = this.noise();
+        if (noise.length === 0) return;
+
+        // Equal scores share their average rank, so they don't pull the mean anywhere
+        const perturbed = scores.slice(1);
+        const order = perturbed.map((score, i) => i).sort((a, b) => perturbed[a] - perturbed[b]);
+        const shaped = new Float64Array(perturbed.length);
+        for (let first = 0; first < order.length;) {
+            let last = first;
+            while (last + 1 < order.length && perturbed[order[last + 1]] === perturbed[order[first]]) {
+                last++;
+            }
+            const rank = (first + last) / 2;
+            for (let r = first; r <= last; r++) {
+                shaped[order[r]] = order.length > 1 ? rank / (order.length - 1) - 0.5 : 0;
+            }
+            first = last + 1;
+        }
+
+        // Estimated gradient of the expected fitness, then one Adam step up it
+        const gradient = new Float64Array(this.mean.length);
+        noise.forEach((vector, n) => {
+            for (let i = 0; i < vector.length; i++) {
+                gradient[i] += shaped[n] * vector[i];
+            }
+        });
+
+        this.steps++;
+        const moment = 1 - ADAM_BETA1 ** this.steps;
+        const velocity = 1 - ADAM_BETA2 ** this.steps;
+        for (let i = 0; i < gradient.length; i++) {
+            const g = gradient[i] / (noise.length * this.sigma);
+            this.moment[i] = ADAM_BETA1 * this.moment[i] + (1 - ADAM_BETA1) * g;
+            this.velocity[i] = ADAM_BETA2 * this.velocity[i] + (1 - ADAM_BETA2) * g * g;
+            this.mean[i] += learningRate * (this.moment[i] / moment) / (Math.sqrt(this.velocity[i] / velocity) + ADAM_EPSILON);
+        }
+    }
+
+    /**
+     * Search from other weights (e.g. an imported brain, possibly of another
+     * shape), forgetting past steps
+     * @param {ArrayLike<number>} mean
+     */
+    moveTo(mean) {
+        this.mean = Float64Array.from(mean);
+        this.moment = new Float64Array(this.mean.length);
+        this.velocity = new Float64Array(this.mean.length);
+        this.steps = 0;
+    }
+
+    /**
+     * @returns {Object} Everything needed to continue the search, as saved in checkpoints
+     */
+    toJSON() {
+        return {
+            mean: Array.from(this.mean),
+            sigma: this.sigma,
+            noiseSeed: this.noiseSeed,
+            count: this.count,
+            moment: Array.from(this.moment),
+            velocity: Array.from(this.velocity),
+            steps: this.steps
+        };
+    }
+
+    /**
+     * Restore a search saved with toJSON()
+     * @param {Object} data
+     * @returns {EvolutionStrategy}
+     */
+    static fromJSON(data) {
+        const strategy = new EvolutionStrategy(data.mean);
+        strategy.sigma = data.sigma;
+        strategy.noiseSeed = data.noiseSeed;
+        strategy.count = data.count;
+        strategy.moment = Float64Array.from(data.moment);
+        strategy.velocity = Float64Array.from(data.velocity);
+        strategy.steps = data.steps;
+        return strategy;
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EvolutionStrategy };
+}
@@ -0,0 +1,172 @@
+/**
+ * EVALUATION.JS - Measure a frozen brain
+ * Plays one brain on a set of seeded courses without evolving it, and sums up
+ * how it did: its scores, the speed it reached and what killed it. The same
+ * seed gives the same courses, so brains evaluated with the same options (e.g.
+ * the champions of two checkpoints) are compared on exactly the same obstacles.
+ */
+
+// ============================================================================
+// EVALUATION DEFAULTS
+// ============================================================================
+const EVALUATION_DEFAULTS = {
+    courses: 20,                        // Courses played
+    seed: 1,                            // Seed the courses are drawn from
+    level: 0,                           // Difficulty level ('adaptive' difficulty; see curriculum.js)
+    maxFrames: 10000                    // Frame limit per course (a brain that reaches it survived)
+};
+
+// How a dino was moving when it died
+const DEATH_PHASES = ['running', 'ducking', 'ascent', 'descent'];
+
+// Per-course CSV columns, in order
+const EVALUATION_COLUMNS = ['course', 'seed', 'score', 'speed', 'obstacle', 'type', 'phase'];
+
+// ============================================================================
+// EVALUATION - One brain on a fixed set of courses
+// ============================================================================
+class Evaluation {
+    /**
+     * @param {NeuralNetwork|Genome} brain
+     * @param {Object} gameOptions - Game to play (e.g. Game.getConfig() plus width and height)
+     * @param {Object} options - Any of EVALUATION_DEFAULTS
+     * @throws {Error} If the brain doesn't fit the game's sensors and actions
+     */
+    constructor(brain, gameOptions, options = {}) {
+        this.brain = brain;
+        this.options = { ...EVALUATION_DEFAULTS, ...options };
+        this.game = new Game(gameOptions);
+        this.game.curriculum.level = this.options.level;
+
+        const needsInputs = this.game.getInputLabels().length;
+        const needsOutputs = this.game.getOutputLabels().length;
+        if (brain.inputCount !== needsInputs || brain.outputCount !== needsOutputs) {
+            throw new Error(`Brain has ${brain.inputCount} inputs and ${brain.outputCount} outputs, ` +
+                `this game needs ${needsInputs} and ${needsOutputs}`);
+        }
+
+        const rng = new SeededRandom(this.options.seed);
+        this.tracks = [];
+        for (let i = 0; i < this.options.courses; i++) {
+            this.tracks.push({ seed: rng.nextSeed() });
+        }
+        this.results = [];                  // Per course played: { seed, score, speed, death: { obstacle, type, phase } | null }
+
+        this.death = null;
+        this.game.on('death', (dino, obstacle) => {
+            this.death = { obstacle: obstacle.kind, type: obstacle.type, phase: deathPhase(dino) };
+        });
+    }
+
+    /**
+     * @returns {boolean} True once every course is played
+     */
+    isFinished() {
+        return this.results.length === this.tracks.length;
+    }
+
+    /**
+     * Play the next course
+     * @returns {boolean} False if every course was already played
+     */
+    runCourse() {
+        if (this.isFinished()) return false;
+
+        const track = this.tracks[this.results.length];
+        const dino = new Dino(this.brain);
+        this.death = null;
+        this.game.reset([dino], track);
+        this.game.run(this.options.maxFrames);
+
+        this.results.push({ seed: track.seed, score: dino.score, speed: dino.speedReached, death: this.death });
+        return true;
+    }
+
+    /**
+     * Play every remaining course
+     * @returns {Object} The report (see getReport)
+     */
+    run() {
+        while (this.runCourse()) {
+            // Play the next course
+        }
+        return this.getReport();
+    }
+
+    /**
+     * Summary of the courses played so far
+     * @returns {Object} { type: 'evaluation', version, courses, seed, level, maxFrames, game,
+     *                     score: { mean, median, max, min }, speed: { mean, max }, survived,
+     *                     deaths: { [obstacle kind]: [{ [phase]: count }] (one per OBSTACLE_TYPES[kind]) }, results }
+     */
+    getReport() {
+        const results = this.results;
+        const scores = results.map(result => result.score).sort((a, b) => a - b);
+        const speeds = results.map(result => result.speed);
+        const count = scores.length;
+        const mid = Math.floor(count / 2);
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+        const deaths = {};
+        for (const [kind, types] of Object.entries(OBSTACLE_TYPES)) {
+            deaths[kind] = types.map(() => Object.fromEntries(DEATH_PHASES.map(phase => [phase, 0])));
+        }
+        for (const { death } of results) {
+            if (death) {
+                deaths[death.obstacle][death.type][death.phase]++;
+            }
+        }
+
+        return {
+            type: 'evaluation',
+            version: FORMAT_VERSION,
+            courses: count,
+            seed: this.options.seed,
+            level: this.game.curriculum.getLevel(),
+            maxFrames: this.options.maxFrames,
+            game: this.game.getConfig(),
+            score: count === 0 ? null : {
+                mean: mean(scores),
+                median: count % 2 ? scores[mid] : (scores[mid - 1] + scores[mid]) / 2,
+                max: scores[count - 1],
+                min: scores[0]
+            },
+            speed: count === 0 ? null : { mean: mean(speeds), max: Math.max(...speeds) },
+            survived: results.filter(result => !result.death).length,
+            deaths,
+            results
+        };
+    }
+}
+
+/**
+ * How a dino was moving when it died: on the ground (running or ducking),
+ * or in the air on the way up or down
+ * @param {Dino} dino
+ * @returns {string} One of DEATH_PHASES
+ */
+function deathPhase(dino) {
+    if (dino.y > 0) {
+        return dino.velocity > 0 ? 'ascent' : 'descent';
+    }
+    return dino.isDucking ? 'ducking' : 'running';
+}
+
+/**
+ * Format an evaluation report's courses as CSV (header row + one row per course)
+ * @param {Object} report - Evaluation.getReport()
+ * @returns {string}
+ */
+function evaluationToCSV(report) {
+    const rows = report.results.map((result, i) => [
+        i + 1, result.seed, result.score, result.speed,
+        result.death ? result.death.obstacle : '', result.death ? result.death.type : '',
+        result.death ? result.death.phase : ''
+    ].join(','));
+    return [EVALUATION_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EVALUATION_DEFAULTS, DEATH_PHASES, Evaluation, evaluationToCSV };
+}
@@ -0,0 +1,106 @@
+/**
+ * FITNESS.JS - How a dino's run is scored for evolution
+ * Each fitness function turns the dinos of one finished track into a score per
+ * dino (higher = fitter). The population picks one by name (Population.fitness),
+ * so the game only records what happened and never decides what counts as good.
+ */
+
+// ============================================================================
+// FITNESS REGISTRY - name -> { title, score(dino) } or { title, scoreAll(dinos, memory) }
+// ============================================================================
+const FITNESS_FUNCTIONS = {};
+
+/**
+ * Add a fitness function (or replace one) so populations can select it
+ * @param {string} name - Key used in Population.fitness
+ * @param {Object} fitness - { title, score(dino) -> number } to score each dino on its own, or
+ *                           { title, scoreAll(dinos, memory) -> number[] } to score them against
+ *                           each other; memory is a plain object kept (and checkpointed) across generations
+ */
+function registerFitness(name, fitness) {
+    FITNESS_FUNCTIONS[name] = fitness;
+}
+
+/**
+ * Score the dinos of one track
+ * @param {string} name - Registered fitness function
+ * @param {Dino[]} dinos
+ * @param {Object} memory - Passed to scoreAll()
+ * @returns {number[]} One score per dino, in order
+ */
+function evaluateFitness(name, dinos, memory) {
+    const fitness = FITNESS_FUNCTIONS[name];
+    if (!fitness) {
+        throw new Error(`Unknown fitness function: ${name}`);
+    }
+    return fitness.scoreAll ? fitness.scoreAll(dinos, memory) : dinos.map(dino => fitness.score(dino));
+}
+
+// ============================================================================
+// BUILT-IN FITNESS FUNCTIONS
+// ============================================================================
+const JUMP_PENALTY = 20;                // Frames of survival one wasted jump costs
+const NOVELTY_NEIGHBOURS = 5;           // Novelty = mean distance to this many nearest behaviours
+const NOVELTY_ARCHIVE_SIZE = 100;       // Most novel behaviours remembered (oldest dropped first)
+
+registerFitness('survival', {
+    title: 'Frames survived',
+    score: dino => dino.score
+});
+
+registerFitness('obstacles', {
+    title: 'Obstacles cleared',
+    score: dino => dino.obstaclesCleared * 100 + dino.score / 100      // Frames only break ties
+});
+
+registerFitness('jumpPenalty', {
+    title: 'Survival minus wasted jumps',
+    score(dino) {
+        // Every cleared obstacle justifies one jump; the rest were for nothing
+        const wasted = Math.max(0, dino.jumps - dino.obstaclesCleared);
+        return Math.max(0, dino.score - wasted * JUMP_PENALTY);
+    }
+});
+
+registerFitness('distance', {
+    title: 'Distance run',
+    score: dino => dino.distance                                       // Later frames are faster, so worth more
+});
+
+registerFitness('novelty', {
+    title: 'Novelty (behaviour)',
+    scoreAll(dinos, memory) {
+        const archive = memory.archive || [];
+        const behaviours = dinos.map(describeBehaviour);
+
+        const novelty = behaviours.map((behaviour, i) => {
+            const distances = behaviours
+                .filter((other, j) => j !== i)
+                .concat(archive)
+                .map(other => Math.hypot(...behaviour.map((value, k) => value - other[k])))
+                .sort((a, b) => a - b)
+                .slice(0, NOVELTY_NEIGHBOURS);
+            return distances.length ? distances.reduce((a, b) => a + b, 0) / distances.length : 0;
+        });
+
+        // Remember the most novel behaviour, so later generations are pushed past it
+        archive.push(behaviours[novelty.indexOf(Math.max(...novelty))]);
+        memory.archive = archive.slice(-NOVELTY_ARCHIVE_SIZE);
+        return novelty;
+    }
+});
+
+/**
+ * What a dino did, as a point to measure novelty with: how long it lasted,
+ * how far it got and how it moved
+ * @param {Dino} dino
+ * @returns {number[]}
+ */
+function describeBehaviour(dino) {
+    return [dino.score / 100, dino.obstaclesCleared, dino.jumps, dino.duckFrames / 10];
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FITNESS_FUNCTIONS, registerFitness, evaluateFitness, describeBehaviour };
+}
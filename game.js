@@ -1,8 +1,41 @@
 /**
  * GAME.JS - Core Game Engine
- * Contains Dino class, Obstacle class, and Game management logic
+ * Contains Dino class, Obstacle class, and Game management logic.
+ * Pure simulation: no canvas or DOM, so it also runs under Node (see renderer.js for drawing)
  */
 
+// ============================================================================
+// EVENT EMITTER - Minimal publish/subscribe used by Game and Trainer
+// ============================================================================
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} type
+     * @param {Function} listener
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+    
+    /**
+     * Unsubscribe from an event
+     */
+    off(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+    
+    /**
+     * Notify all listeners of an event
+     */
+    emit(type, ...args) {
+        (this.listeners[type] || []).forEach(listener => listener(...args));
+    }
+}
+
 // ============================================================================
 // DINO CLASS - The dinosaur character
 // ============================================================================
@@ -10,24 +43,30 @@ class Dino {
     constructor(brain = null) {
         // Physics properties
         this.x = 100;                    // Fixed X position
-        this.y = 0;                      // Y position (0 = ground)
+        this.y = 0;                      // Height above ground (0 = ground)
         this.width = 30;
         this.height = 40;
+        this.standingHeight = 40;
+        this.duckHeight = 24;            // Hitbox height while ducking
         this.velocity = 0;               // Vertical velocity
         this.gravity = 0.8;              // Gravity strength
-        this.jumpStrength = -15;         // Jump power (negative = up)
+        this.jumpStrength = 15;          // Jump power (positive = up)
         
         // State
         this.isJumping = false;
+        this.isDucking = false;
         this.isAlive = true;
-        this.score = 0;
-        this.fitness = 0;
+        this.score = 0;                  // Frames survived
+        this.obstaclesCleared = 0;       // Obstacles that have fully passed this dino
+        this.speedReached = 0;           // Game speed on this dino's last frame
+        
+        // What the dino did (for fitness functions, see fitness.js)
+        this.jumps = 0;
+        this.duckFrames = 0;
+        this.distance = 0;               // Ground covered: the game speed summed over its frames
         
         // AI Brain
         this.brain = brain;              // Neural network (from NEAT)
-        
-        // Visual
-        this.color = '#64748b';          // Default gray
     }
     
     /**
@@ -35,11 +74,22 @@ class Dino {
      */
     jump() {
         if (!this.isJumping && this.isAlive) {
+            this.duck(false);
             this.velocity = this.jumpStrength;
             this.isJumping = true;
+            this.jumps++;
         }
     }
     
+    /**
+     * Start or stop ducking (only on the ground): shrinks the hitbox
+     * @param {boolean} active
+     */
+    duck(active = true) {
+        this.isDucking = active && !this.isJumping && this.isAlive;
+        this.height = this.isDucking ? this.duckHeight : this.standingHeight;
+    }
+    
     /**
      * Update physics and position
      * @param {number} gameSpeed - Current game speed multiplier
@@ -48,11 +98,11 @@ class Dino {
         if (!this.isAlive) return;
         
         // Apply gravity
-        this.velocity += this.gravity;
+        this.velocity -= this.gravity;
         this.y += this.velocity;
         
         // Ground collision
-        if (this.y >= 0) {
+        if (this.y <= 0) {
             this.y = 0;
             this.velocity = 0;
             this.isJumping = false;
@@ -60,36 +110,10 @@ class Dino {
         
         // Increase score (1 point per frame alive)
         this.score++;
-        this.fitness = this.score; // Base fitness on survival time
-    }
-    
-    /**
-     * Render the dino on canvas
-     * @param {CanvasRenderingContext2D} ctx 
-     * @param {number} groundY - Y coordinate of ground
-     */
-    draw(ctx, groundY) {
-        if (!this.isAlive) return;
-        
-        // Visual offset to place dino above the line
-        const bottomOffset = 10;
-        
-        ctx.fillStyle = this.color;
-        ctx.fillRect(
-            this.x,
-            groundY - this.height - this.y - bottomOffset,
-            this.width,
-            this.height
-        );
-        
-        // Draw eye
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(
-            this.x + this.width - 10,
-            groundY - this.height - this.y - bottomOffset + 8,
-            5,
-            5
-        );
+        this.distance += gameSpeed;
+        if (this.isDucking) {
+            this.duckFrames++;
+        }
     }
     
     /**
@@ -106,8 +130,8 @@ class Dino {
         
         const obsLeft = obstacle.x;
         const obsRight = obstacle.x + obstacle.width;
-        const obsTop = obstacle.height;
-        const obsBottom = 0;
+        const obsTop = obstacle.altitude + obstacle.height;
+        const obsBottom = obstacle.altitude;
         
         // Check overlap
         return dinoRight > obsLeft &&
@@ -121,30 +145,50 @@ class Dino {
      */
     die() {
         this.isAlive = false;
-        this.fitness = this.score; // Final fitness = final score
     }
 }
 
 // ============================================================================
-// OBSTACLE CLASS - Cacti that spawn and move
+// OBSTACLE CLASS - Cacti and birds that spawn and move
 // ============================================================================
+const OBSTACLE_TYPES = {
+    cactus: [
+        { title: 'Tall cactus', width: 20, height: 40, altitude: 0 },
+        { title: 'Medium cactus', width: 30, height: 30, altitude: 0 },
+        { title: 'Very tall cactus', width: 15, height: 50, altitude: 0 }
+    ],
+    bird: [
+        { title: 'Low bird', width: 40, height: 20, altitude: 10 },     // Jump over it
+        { title: 'Middle bird', width: 40, height: 20, altitude: 30 },  // Duck under it
+        { title: 'High bird', width: 40, height: 20, altitude: 55 }     // Clears a standing dino, not a jumping one
+    ]
+};
+
 class Obstacle {
-    constructor(x, canvasWidth) {
+    /**
+     * @param {number} x - Spawn position
+     * @param {number} canvasWidth
+     * @param {SeededRandom} rng - Picks the obstacle type
+     * @param {number} birdChance - Chance (0-1) of a bird instead of a cactus
+     * @param {Object} pick - { kind, type } to place a specific obstacle instead of a random one
+     */
+    constructor(x, canvasWidth, rng, birdChance = 0, pick = null) {
         this.x = x;
         this.canvasWidth = canvasWidth;
         
-        // Random obstacle type (different heights)
-        const types = [
-            { width: 20, height: 40 },      // Tall cactus
-            { width: 30, height: 30 },      // Medium cactus
-            { width: 15, height: 50 },      // Very tall cactus
-        ];
+        if (pick) {
+            this.kind = pick.kind;
+            this.type = pick.type;
+        } else {
+            // Random obstacle type (different heights and altitudes above the ground)
+            this.kind = birdChance > 0 && rng.random() < birdChance ? 'bird' : 'cactus';
+            this.type = Math.floor(rng.random() * OBSTACLE_TYPES[this.kind].length);
+        }
         
-        const type = types[Math.floor(Math.random() * types.length)];
+        const type = OBSTACLE_TYPES[this.kind][this.type];
         this.width = type.width;
         this.height = type.height;
-        
-        this.color = '#ef4444';             // Red obstacle
+        this.altitude = type.altitude;
     }
     
     /**
@@ -162,66 +206,131 @@ class Obstacle {
     isOffScreen() {
         return this.x + this.width < 0;
     }
-    
-    /**
-     * Render the obstacle
-     * @param {CanvasRenderingContext2D} ctx 
-     * @param {number} groundY - Y coordinate of ground
-     */
-    draw(ctx, groundY) {
-        ctx.fillStyle = this.color;
-        ctx.fillRect(
-            this.x,
-            groundY - this.height,
-            this.width,
-            this.height
-        );
-    }
 }
 
 // ============================================================================
-// GAME CLASS - Manages game state and rendering
+// GAME DEFAULTS - Course and physics constants (overridable per game)
+// ============================================================================
+const GAME_DEFAULTS = {
+    difficulty: 'adaptive',              // Curriculum mode: 'adaptive', 'random' or 'fixed' (see curriculum.js)
+    levelUpObstacles: 10,                // Adaptive: median obstacles cleared to go up a level
+    baseSpeed: 6,                        // Initial speed
+    maxGameSpeed: 15,                    // Speed cap
+    obstacleSpawnInterval: 90,           // Frames between obstacles ('fixed' difficulty)
+    birdChance: 0.25,                    // Share of obstacles that are birds
+    gravity: 0.8,                        // Given to every dino on reset
+    jumpStrength: 15,                    // Given to every dino on reset
+    jumpThreshold: 0.5,                  // Brain output above which a dino jumps or ducks
+    sensors: ['obstacles', 'dinoY', 'speed'],   // Brain inputs, by SENSORS name (see sensors.js)
+    lookahead: 1,                        // Obstacles the 'obstacles' sensor reports
+    visionRays: 5                        // Rays cast by the 'vision' sensor
+};
+
+// ============================================================================
+// GAME CLASS - Manages game state and simulation
 // ============================================================================
-class Game {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.width = canvas.width;
-        this.height = canvas.height;
-        this.groundY = this.height - 50;     // Ground line Y position
+class Game extends EventEmitter {
+    /**
+     * @param {Object} options - { width, height } of the playfield (matches the canvas), rng,
+     *                           plus any of GAME_DEFAULTS
+     */
+    constructor(options = {}) {
+        super();
+        this.width = options.width || 1000;
+        this.height = options.height || 400;
+        this.rng = options.rng || new SeededRandom();   // Obstacle randomness (unless on a track)
+        this.track = null;                              // Track being played, see reset()
+        this.courseRng = this.rng;                      // Generator placing this course's obstacles
+        
+        // Settings (see GAME_DEFAULTS)
+        this.configure({ ...GAME_DEFAULTS, ...options });
+        this.curriculum = new Curriculum(this);         // Spawning and speed-up
         
         // Game state
         this.obstacles = [];
-        this.gameSpeed = 6;                  // Initial speed
-        this.baseSpeed = 6;
+        this.dinos = [];
+        this.aliveCount = 0;
+        this.bestDino = null;                // Fittest dino still alive
+        this.batch = null;                   // The dinos' brains as one NetworkBatch, when they fit
+        this.gameSpeed = this.baseSpeed;
         this.frameCount = 0;
-        this.obstacleSpawnInterval = 90;     // Frames between obstacles
-        this.maxGameSpeed = 15;              // Speed cap
-        
-        // Speed multiplier (for training acceleration)
-        this.speedMultiplier = 1;
         
         this.reset();
     }
     
+    /**
+     * Change settings (any of GAME_DEFAULTS); they take effect from the next reset()
+     * @param {Object} settings
+     */
+    configure(settings) {
+        for (const key of Object.keys(GAME_DEFAULTS)) {
+            const value = settings[key];
+            if (value !== undefined) {
+                this[key] = Array.isArray(value) ? [...value] : value;
+            }
+        }
+    }
+    
+    /**
+     * Current settings, in the form configure() accepts
+     * @returns {Object}
+     */
+    getConfig() {
+        const config = {};
+        for (const key of Object.keys(GAME_DEFAULTS)) {
+            config[key] = Array.isArray(this[key]) ? [...this[key]] : this[key];
+        }
+        return config;
+    }
+    
     /**
      * Reset game to initial state
+     * @param {Dino[]} dinos - Dinos taking part in the next run
+     * @param {Object} track - { seed } to replay that track's obstacles exactly,
+     *                         or null to draw them from this.rng
      */
-    reset() {
+    reset(dinos = [], track = null) {
+        this.track = track;
+        this.courseRng = track ? new SeededRandom(track.seed) : this.rng;
         this.obstacles = [];
+        this.dinos = dinos;
+        for (const dino of dinos) {
+            dino.gravity = this.gravity;
+            dino.jumpStrength = this.jumpStrength;
+            if (dino.brain) {
+                dino.brain.resetState();        // Recurrent brains start every run with a blank memory
+            }
+        }
+        this.aliveCount = dinos.filter(d => d.isAlive).length;
+        this.bestDino = dinos[0] || null;
+        
+        // Fixed-network brains think in one batch per tick (see NetworkBatch)
+        const brains = dinos.map(dino => dino.brain);
+        this.batch = NetworkBatch.fits(brains) ? new NetworkBatch(brains) : null;
         this.gameSpeed = this.baseSpeed;
         this.frameCount = 0;
         
-        // Spawn first obstacle
-        this.spawnObstacle();
+        // Spawn first obstacle (an empty game stays empty, and draws nothing from the rng)
+        if (dinos.length > 0) {
+            this.curriculum.start();
+        }
+        
+        this.emit('reset', this);
     }
     
     /**
-     * Spawn a new obstacle
+     * Spawn a new obstacle just off the right edge
+     * @param {number} offset - Extra distance beyond the spawn point (for clusters)
+     * @param {Object} pick - { kind, type } for a specific obstacle, or null for a random one
+     * @param {number} birdChance - Chance of a random obstacle being a bird
+     * @returns {Obstacle}
      */
-    spawnObstacle() {
-        const x = this.width + 50;
-        this.obstacles.push(new Obstacle(x, this.width));
+    spawnObstacle(offset = 0, pick = null, birdChance = this.birdChance) {
+        const x = this.width + 50 + offset;
+        const obstacle = new Obstacle(x, this.width, this.courseRng, birdChance, pick);
+        this.obstacles.push(obstacle);
+        this.emit('spawn', obstacle);
+        return obstacle;
     }
     
     /**
@@ -230,19 +339,12 @@ class Game {
     update() {
         this.frameCount++;
         
-        // Increase speed over time (every 300 frames)
-        if (this.frameCount % 300 === 0 && this.gameSpeed < this.maxGameSpeed) {
-            this.gameSpeed += 0.5;
-        }
-        
-        // Spawn new obstacles
-        if (this.frameCount % this.obstacleSpawnInterval === 0) {
-            this.spawnObstacle();
-        }
+        // Speed-up and new obstacles
+        this.curriculum.update();
         
         // Update obstacles
         for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            this.obstacles[i].update(this.gameSpeed * this.speedMultiplier);
+            this.obstacles[i].update(this.gameSpeed);
             
             // Remove off-screen obstacles
             if (this.obstacles[i].isOffScreen()) {
@@ -252,64 +354,122 @@ class Game {
     }
     
     /**
-     * Draw game elements
-     * @param {Dino[]} dinos - Array of dinos to render
-     * @param {Dino} bestDino - Best performing dino (highlighted)
-     * @param {boolean} highlightBest - Whether to highlight best dino
+     * Advance the simulation by one tick: world, brains, physics, collisions
+     * @returns {number} Number of dinos still alive
      */
-    draw(dinos, bestDino = null, highlightBest = true) {
-        // Clear canvas
-        this.ctx.fillStyle = '#1a1f3a';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+    step() {
+        this.update();
         
-        // Draw ground line
-        this.ctx.strokeStyle = '#475569';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, this.groundY);
-        this.ctx.lineTo(this.width, this.groundY);
-        this.ctx.stroke();
+        // The world moved, the dinos haven't yet: what brains decide on
+        this.emit('update', this);
+        if (this.batch) {
+            this.think();
+        }
         
-        // Draw obstacles
-        this.obstacles.forEach(obstacle => {
-            obstacle.draw(this.ctx, this.groundY);
-        });
+        let aliveCount = 0;
+        let bestScore = -Infinity;
         
-        // Draw dinos (non-best first, then best on top)
-        if (dinos) {
-            // Draw regular dinos
-            dinos.forEach(dino => {
-                if (dino !== bestDino) {
-                    dino.draw(this.ctx, this.groundY);
+        for (let i = 0; i < this.dinos.length; i++) {
+            const dino = this.dinos[i];
+            if (!dino.isAlive) continue;
+            
+            // AI decides: jump, duck or neither (dinos without a brain are driven externally)
+            if (this.batch) {
+                this.act(dino, this.batch.getOutputs(i));
+            } else if (dino.brain) {
+                this.act(dino, dino.brain.predict(this.getInputs(dino)));
+            }
+            
+            // Update dino physics
+            dino.update(this.gameSpeed);
+            dino.speedReached = this.gameSpeed;
+            
+            // Check collision
+            const hit = this.getObstacleHit(dino);
+            if (hit) {
+                dino.die();
+                this.emit('death', dino, hit);
+                continue;
+            }
+            
+            // Count obstacles whose back edge went past the dino this tick
+            for (const obstacle of this.obstacles) {
+                const back = obstacle.x + obstacle.width;
+                if (back < dino.x && back + this.gameSpeed >= dino.x) {
+                    dino.obstaclesCleared++;
                 }
-            });
+            }
+            
+            aliveCount++;
             
-            // Draw best dino on top (highlighted)
-            if (bestDino && highlightBest) {
-                bestDino.color = '#10b981'; // Green highlight
-                bestDino.draw(this.ctx, this.groundY);
-                
-                // Draw crown above best dino
-                this.ctx.font = '20px Arial';
-                this.ctx.fillText('👑', bestDino.x + 5, this.groundY - bestDino.height - bestDino.y - 15);
+            // Track best dino
+            if (dino.score > bestScore) {
+                bestScore = dino.score;
+                this.bestDino = dino;
             }
         }
         
-        // Draw speed indicator
-        this.ctx.fillStyle = '#64748b';
-        this.ctx.font = '14px Inter';
-        this.ctx.fillText(`Speed: ${this.gameSpeed.toFixed(1)}x`, this.width - 100, 30);
+        this.aliveCount = aliveCount;
+        this.emit('step', this);
+        return aliveCount;
     }
     
     /**
-     * Get the closest obstacle ahead of a dino
-     * @param {Dino} dino 
+     * Batched brains: every living dino's inputs into the batch, then one
+     * forward pass for all of them. Inputs only depend on the dino itself and
+     * the world, so reading them all before anyone moves changes nothing.
+     */
+    think() {
+        const batch = this.batch;
+        for (let i = 0; i < this.dinos.length; i++) {
+            const dino = this.dinos[i];
+            batch.active[i] = dino.isAlive ? 1 : 0;
+            if (dino.isAlive) {
+                this.writeInputs(dino, batch.inputs, i * batch.inputCount);
+            }
+        }
+        batch.predict();
+    }
+    
+    /**
+     * Turn brain outputs [jump, duck] into an action: the stronger output
+     * wins if it passes jumpThreshold, otherwise the dino just runs
+     * @param {Dino} dino
+     * @param {number[]} outputs
+     */
+    act(dino, outputs) {
+        const jump = outputs[0];
+        const duck = outputs[1];
+        if (jump > this.jumpThreshold && jump >= duck) {
+            dino.jump();
+        } else {
+            dino.duck(duck > this.jumpThreshold);
+        }
+    }
+    
+    /**
+     * Step until every dino is dead or a frame limit is hit
+     * @param {number} maxFrames - Safety limit for brains that never die
+     * @returns {number} Frames simulated
+     */
+    run(maxFrames = Infinity) {
+        const start = this.frameCount;
+        while (this.aliveCount > 0 && this.frameCount - start < maxFrames) {
+            this.step();
+        }
+        return this.frameCount - start;
+    }
+    
+    /**
+     * One obstacle not yet past a dino, without building a list
+     * @param {Dino} dino
+     * @param {number} index - 0 = the closest
      * @returns {Obstacle|null}
      */
-    getClosestObstacle(dino) {
-        for (let obstacle of this.obstacles) {
-            // Find first obstacle ahead of dino
-            if (obstacle.x + obstacle.width > dino.x) {
+    getObstacleAhead(dino, index) {
+        for (let i = 0; i < this.obstacles.length; i++) {
+            const obstacle = this.obstacles[i];
+            if (obstacle.x + obstacle.width > dino.x && index-- === 0) {
                 return obstacle;
             }
         }
@@ -317,39 +477,63 @@ class Game {
     }
     
     /**
-     * Get AI inputs for decision making
+     * The first obstacle a dino touches. Clustered obstacles can stand a few
+     * pixels apart, so every one reaching into the dino's span is checked, not
+     * only the closest.
+     * @param {Dino} dino
+     * @returns {Obstacle|null}
+     */
+    getObstacleHit(dino) {
+        for (let i = 0; i < this.obstacles.length; i++) {
+            const obstacle = this.obstacles[i];
+            if (obstacle.x >= dino.x + dino.width) break;
+            if (obstacle.x + obstacle.width > dino.x && dino.collidesWith(obstacle)) return obstacle;
+        }
+        return null;
+    }
+    
+    /**
+     * Names of the values returned by getInputs, in order
+     * @returns {string[]}
+     */
+    getInputLabels() {
+        return this.sensors.flatMap(name => SENSORS[name].labels(this));
+    }
+    
+    /**
+     * Names of the brain outputs step() acts on, in order
+     * @returns {string[]}
+     */
+    getOutputLabels() {
+        return ['Jump', 'Duck'];
+    }
+    
+    /**
+     * Get AI inputs for decision making: the active sensors' readings, in order
      * @param {Dino} dino 
      * @returns {number[]} Array of normalized inputs [0-1]
      */
     getInputs(dino) {
-        const obstacle = this.getClosestObstacle(dino);
-        
-        if (!obstacle) {
-            // No obstacle visible, safe inputs
-            return [1, 0, 0, 0, this.gameSpeed / this.maxGameSpeed];
-        }
-        
-        // Calculate normalized inputs
-        const distance = (obstacle.x - (dino.x + dino.width)) / this.width;
-        const obstacleHeight = obstacle.height / 60;  // Normalize to max height
-        const obstacleWidth = obstacle.width / 40;    // Normalize to max width
-        const dinoY = dino.y / 100;                   // Normalize dino height
-        const speed = this.gameSpeed / this.maxGameSpeed;
-        
-        return [
-            Math.max(0, Math.min(1, distance)),        // Distance to obstacle [0-1]
-            Math.max(0, Math.min(1, obstacleHeight)),  // Obstacle height [0-1]
-            Math.max(0, Math.min(1, obstacleWidth)),   // Obstacle width [0-1]
-            Math.max(0, Math.min(1, dinoY)),           // Dino Y position [0-1]
-            Math.max(0, Math.min(1, speed))            // Game speed [0-1]
-        ];
+        const inputs = [];
+        this.writeInputs(dino, inputs, 0);
+        return inputs;
     }
     
     /**
-     * Set speed multiplier for training acceleration
-     * @param {number} multiplier 
+     * Write a dino's brain inputs (as getInputs) into an array, without building
+     * a new one (sensors registered with only read() still build their own)
+     * @param {Dino} dino
+     * @param {Float64Array|number[]} target
+     * @param {number} offset - Index of the first input
      */
-    setSpeedMultiplier(multiplier) {
-        this.speedMultiplier = multiplier;
+    writeInputs(dino, target, offset) {
+        for (let i = 0; i < this.sensors.length; i++) {
+            offset = SENSORS[this.sensors[i]].write(this, dino, target, offset);
+        }
     }
 }
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventEmitter, Dino, OBSTACLE_TYPES, Obstacle, GAME_DEFAULTS, Game };
+}
@@ -0,0 +1,98 @@
+/**
+ * HALLOFFAME.JS - The best brains of a run
+ * Keeps the champions of past generations that rank among the best seen so far,
+ * with the generation they won and how they scored, so they can be watched,
+ * raced, exported or put back into the population. Brains are kept as JSON, so
+ * an entry stays as it was while the population evolves and saves as it is.
+ */
+
+// ============================================================================
+// HALL OF FAME - Top generation champions, best first
+// ============================================================================
+class HallOfFame {
+    /**
+     * @param {number} size - Champions kept (0 = none)
+     */
+    constructor(size = 10) {
+        this.size = size;
+        this.entries = [];                  // { brain, generation, score, fitness, validation, validationLevel, level }, best first
+    }
+
+    /**
+     * What entries are ranked by: the validation score when there is one
+     * (a track no brain trained on, always played at the same level; see
+     * Trainer.revalidateHallOfFame), else the score on the training tracks
+     * @param {Object} entry
+     * @returns {number}
+     */
+    static rate(entry) {
+        return Number.isFinite(entry.validation) ? entry.validation : entry.score;
+    }
+
+    /**
+     * Offer a generation's champion; it is kept if the hall has room or it
+     * ranks above the weakest entry. A brain already in the hall (an elite
+     * that won again) keeps its first entry.
+     * @param {NeuralNetwork|Genome} brain
+     * @param {Object} details - { generation, score, fitness, validation, validationLevel, level }
+     * @returns {boolean} True if it was added
+     */
+    consider(brain, details) {
+        if (this.size === 0) return false;
+
+        const json = JSON.stringify(brain.toJSON());
+        if (this.entries.some(entry => JSON.stringify(entry.brain) === json)) return false;
+
+        const entry = { brain: JSON.parse(json), ...details };
+        const rating = HallOfFame.rate(entry);
+        let index = this.entries.findIndex(other => HallOfFame.rate(other) < rating);
+        if (index === -1) {
+            index = this.entries.length;
+        }
+        if (index >= this.size) return false;
+
+        this.entries.splice(index, 0, entry);
+        this.entries = this.entries.slice(0, this.size);
+        return true;
+    }
+
+    /**
+     * Change how many champions are kept, dropping the weakest beyond that
+     * @param {number} size
+     */
+    resize(size) {
+        this.size = size;
+        this.entries = this.entries.slice(0, size);
+    }
+
+    /**
+     * Put the entries back in order after their ratings changed
+     */
+    rerank() {
+        this.entries.sort((a, b) => HallOfFame.rate(b) - HallOfFame.rate(a));
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * @returns {Object[]} The entries, as saved in checkpoints
+     */
+    toJSON() {
+        return this.entries;
+    }
+
+    /**
+     * Put back entries saved with toJSON()
+     * @param {Object[]} entries
+     */
+    restore(entries) {
+        this.entries = entries.slice(0, this.size);
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HallOfFame };
+}
@@ -0,0 +1,18 @@
+/**
+ * HEADLESS.JS - Load the simulation under Node
+ * In the browser the scripts share their classes as globals (see index.html).
+ * This loads the same scripts in the same order and exposes them the same way,
+ * so they work unchanged from the command line:
+ *
+ *   const { Game, Population, Trainer } = require('./headless.js');
+ */
+
+const SCRIPTS = ['./random.js', './neat.js', './strategies.js', './es.js', './sensors.js', './fitness.js', './game.js', './curriculum.js', './replay.js', './halloffame.js', './evaluation.js', './imitation.js', './trainer.js', './config.js'];
+
+const simulation = {};
+for (const script of SCRIPTS) {
+    Object.assign(simulation, require(script));
+    Object.assign(globalThis, simulation);
+}
+
+module.exports = simulation;
@@ -0,0 +1,115 @@
+/**
+ * IMITATION.JS - Learn from human play
+ * Races record what the player's dino sensed and what the player did on every
+ * frame (see Race). A fixed network is trained on those frames by
+ * backpropagation, so evolution can start from a brain that already jumps at
+ * about the right time instead of a population that dies at the first obstacle.
+ */
+
+// ============================================================================
+// IMITATION DEFAULTS
+// ============================================================================
+const IMITATION_DEFAULTS = {
+    epochs: 100,                        // Passes over every recorded frame
+    learningRate: 0.3                   // Gradient descent step size
+};
+
+/**
+ * Train a network to act like the player: for each recorded frame, the same
+ * outputs for the same inputs (squared error, one frame at a time, in a
+ * shuffled order). Players act on few frames, so frames where they jumped or
+ * ducked weigh as much in total as the frames where they didn't.
+ * Recurrent networks learn with their memory weights at zero, so they start
+ * without memory and evolution can find a use for it.
+ * @param {NeuralNetwork} network - Trained in place
+ * @param {Object[]} demonstrations - Race.demonstration of each run: { inputLabels, frames: [{ inputs, outputs }] }
+ * @param {Object} options - Any of IMITATION_DEFAULTS, plus rng: SeededRandom (frame order; default the network's)
+ * @returns {number[]} Mean weighted error of each epoch
+ * @throws {Error} If there are no frames, they don't fit the network, or an activation has no slope
+ */
+function trainImitation(network, demonstrations, options = {}) {
+    const { epochs, learningRate } = { ...IMITATION_DEFAULTS, ...options };
+    const rng = options.rng || network.rng;
+    const frames = demonstrations.flatMap(demonstration => demonstration.frames);
+    if (frames.length === 0) {
+        throw new Error('No recorded frames to learn from - play a race first');
+    }
+    if (frames.some(frame => frame.inputs.length !== network.inputCount || frame.outputs.length !== network.outputCount)) {
+        throw new Error(`Recorded play doesn't fit a brain with ${network.inputCount} inputs and ${network.outputCount} outputs`);
+    }
+    const slopes = network.activations.map(name => ACTIVATIONS[name].slope);
+    const flat = network.activations.find((name, l) => !slopes[l]);
+    if (flat) {
+        throw new Error(`${ACTIVATIONS[flat].title} neurons can't be trained from play - pick another activation`);
+    }
+
+    // Balance each output's acting (> 0.5) and idle frames
+    const classWeights = [];
+    for (let o = 0; o < network.outputCount; o++) {
+        const acting = frames.filter(frame => frame.outputs[o] > 0.5).length;
+        const idle = frames.length - acting;
+        classWeights.push(acting === 0 || idle === 0 ? [1, 1]
+            : [frames.length / (2 * idle), frames.length / (2 * acting)]);
+    }
+
+    network.recurrentWeights.forEach(weights => weights.fill(0));
+    const { layers, weights, biases } = network;
+    const deltas = layers.map(count => new Float64Array(count));
+    const order = frames.map((frame, i) => i);
+    const errors = [];
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rng.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        let error = 0;
+
+        for (const index of order) {
+            const frame = frames[index];
+            network.predict(frame.inputs);
+            const values = network.lastActivations;
+
+            // Output error, weighted by how rare the wanted action is
+            const last = layers.length - 1;
+            for (let o = 0; o < layers[last]; o++) {
+                const output = values[last][o];
+                const weight = classWeights[o][frame.outputs[o] > 0.5 ? 1 : 0];
+                const difference = output - frame.outputs[o];
+                error += weight * difference * difference;
+                deltas[last][o] = weight * difference * slopes[last - 1](output);
+            }
+
+            // Back through the layers: pass the error on, then step the weights
+            for (let l = last; l > 0; l--) {
+                const inCount = layers[l - 1];
+                const layerWeights = weights[l - 1];
+                if (l > 1) {
+                    for (let i = 0; i < inCount; i++) {
+                        let sum = 0;
+                        for (let j = 0; j < layers[l]; j++) {
+                            sum += layerWeights[j * inCount + i] * deltas[l][j];
+                        }
+                        deltas[l - 1][i] = sum * slopes[l - 2](values[l - 1][i]);
+                    }
+                }
+                for (let j = 0; j < layers[l]; j++) {
+                    const step = learningRate * deltas[l][j];
+                    for (let i = 0; i < inCount; i++) {
+                        layerWeights[j * inCount + i] -= step * values[l - 1][i];
+                    }
+                    biases[l - 1][j] -= step;
+                }
+            }
+        }
+        errors.push(error / frames.length);
+    }
+
+    network.resetState();
+    return errors;
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IMITATION_DEFAULTS, trainImitation };
+}
@@ -7,40 +7,87 @@
 // GLOBAL STATE
 // ============================================================================
 let game;
+let renderer;
+let visualizer;
+let historyChart;
 let population;
-let dinos = [];
+let trainer;
+let seed;
+let config;                          // Run settings (see config.js), applied on reset
 let isTraining = false;
 let isPaused = false;
 let animationFrameId = null;
+let ticksPerFrame = 1;               // Simulation ticks per animation frame
+let turbo = false;                   // Max speed: no rendering, sparse stats
+let ticksSinceStats = 0;
+let race = null;                     // Human vs AI race, while one is on screen
+let raceFrameId = null;
+let raceOpponent = null;             // Imported brain or hall of fame pick (else the current best races)
+let demonstrations = [];             // The player's finished races, for brains to learn from (see imitation.js)
+let replay = null;                   // ReplayPlayer while a replay is on screen
+let replayFrameId = null;
+let replayPlaying = false;
+let replaySpeed = 1;                 // Frames per animation frame (below 1 = slow motion)
+let replayCarry = 0;                 // Part of a frame owed to the next animation frame
+let replayChoices = [];              // Recordings listed in the replay panel
+let backend = null;                  // WorkerBackend while training runs in a worker (else on this page)
+let workerFrame = null;              // Last frame the worker sent
+let workerBrain = null;              // Its leading dino's brain, rebuilt from the frames
+let tickRate = null;                 // { ticks, time } where the sim speed measurement started
+let evaluation = null;               // Evaluation while one runs
+let evaluationName = '';             // Name of the brain it evaluates
+let evaluationTimer = null;
+let evaluationReport = null;         // Last finished evaluation, to export
+let evaluationChoices = [];          // Brains listed to evaluate: { name, data }
+let evaluationFile = null;           // Brain file loaded to evaluate: { name, data }
 
 // Configuration
-const POPULATION_SIZE = 15;          // Number of dinos per generation
-const INPUT_COUNT = 5;               // Neural network inputs
-const HIDDEN_COUNT = 6;              // Hidden layer neurons
-const OUTPUT_COUNT = 1;              // Neural network outputs
-
-// Statistics
-let bestScore = 0;
-let currentBestDino = null;
-let showBestHighlight = true;
+const TURBO_FRAME_BUDGET_MS = 12;    // Simulation time per frame in turbo mode
+const TURBO_STATS_INTERVAL = 500;    // Ticks between stats updates in turbo mode
+const TICK_RATE_WINDOW_MS = 1000;    // Time the sim speed is averaged over
+const DEATH_MARK_FRAMES = 30;        // Replays: how long a death stays marked
+const WATCH_MAX_FRAMES = 10000;      // Hall of fame: frame limit when watching champions
+const EVALUATION_SLICE_MS = 30;      // Evaluation: time spent on courses between UI updates
+const AUTOSAVE_KEY = 'dino-ai-checkpoint';          // localStorage key for the autosaved run
+const AUTOSAVE_ENABLED_KEY = 'dino-ai-autosave';    // localStorage key for the checkbox
+const SETTINGS_KEY = 'dino-ai-settings';            // localStorage key for the settings panel
+const SETTINGS_GROUPS = { population: 'settingsPopulation', game: 'settingsGame', training: 'settingsTraining' };
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 document.addEventListener('DOMContentLoaded', () => {
-    // Get canvas and create game
+    config = loadSettings();
+
+    // Create the simulation and a renderer that follows it
     const canvas = document.getElementById('gameCanvas');
-    game = new Game(canvas);
+    game = new Game({ width: canvas.width, height: canvas.height, ...config.game });
+    renderer = new GameRenderer(canvas, game);
+    visualizer = new NetworkVisualizer(document.getElementById('brainCanvas'), game);
 
     // Create AI population
-    population = new Population(POPULATION_SIZE, INPUT_COUNT, HIDDEN_COUNT, OUTPUT_COUNT);
+    const { size, hiddenLayers } = config.population;
+    const inputCount = game.getInputLabels().length;
+    const outputCount = game.getOutputLabels().length;
+    population = new Population(size, inputCount, hiddenLayers, outputCount, config.population);
+    trainer = new Trainer(game, population, config.training);
+    trainer.on('generationEnd', autosave);
+    trainer.on('generationEnd', updateHistory);
+    historyChart = new HistoryChart(document.getElementById('historyCanvas'));
+
+    // A shared link (?seed=42) replays that run
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed !== null) {
+        document.getElementById('seedInput').value = urlSeed;
+    }
 
     // Setup UI event listeners
     setupUI();
 
-    // Initial render
-    game.draw([]);
-    updateStats();
+    // Pick up where the last visit stopped, or seed a new run (renders and updates stats)
+    if (!resumeAutosave(urlSeed)) {
+        resetTraining();
+    }
 });
 
 // ============================================================================
@@ -66,13 +113,128 @@ function setupUI() {
 
     // Show best checkbox
     document.getElementById('showBestCheckbox').addEventListener('change', (e) => {
-        showBestHighlight = e.target.checked;
+        renderer.highlightBest = e.target.checked;
     });
 
     // Speed control
     document.getElementById('speedSelect').addEventListener('change', (e) => {
-        const speed = parseInt(e.target.value);
-        game.setSpeedMultiplier(speed);
+        setSimulationSpeed(e.target.value);
+    });
+
+    // Where training runs
+    document.getElementById('backendSelect').addEventListener('change', (e) => {
+        setBackend(e.target.value);
+    });
+
+    // Save / load
+    document.getElementById('exportBrainBtn').addEventListener('click', exportBrain);
+    document.getElementById('exportCheckpointBtn').addEventListener('click', exportCheckpoint);
+    document.getElementById('importBtn').addEventListener('click', () => {
+        document.getElementById('importFile').click();
+    });
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importFile(e.target.files[0]);
+        }
+        e.target.value = '';    // Allow importing the same file again
+    });
+
+    // Settings panel
+    buildSettingsPanel();
+    document.getElementById('settingsForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        applySettings();
+    });
+    document.getElementById('settingsDefaultsBtn').addEventListener('click', () => {
+        fillSettings(defaultConfig());
+    });
+
+    // Training history
+    document.getElementById('chartMetric').addEventListener('change', (e) => {
+        historyChart.metric = e.target.value;
+        updateHistory();
+    });
+    document.getElementById('exportCsvBtn').addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('exportHistoryBtn').addEventListener('click', () => exportHistory('json'));
+
+    // Human vs AI race
+    document.getElementById('raceBtn').addEventListener('click', startRace);
+    document.getElementById('raceAgainBtn').addEventListener('click', startRace);
+    document.getElementById('raceExitBtn').addEventListener('click', exitRace);
+    document.getElementById('raceLearnBtn').addEventListener('click', () => learnFromPlay(true));
+    document.getElementById('raceLearnOneBtn').addEventListener('click', () => learnFromPlay(false));
+    document.addEventListener('keydown', handleRaceKey);
+    document.addEventListener('keyup', handleRaceKeyUp);
+    document.getElementById('gameCanvas').addEventListener('pointerdown', () => {
+        if (race) {
+            race.jump();
+        }
+    });
+
+    // Replays
+    document.getElementById('replayBtn').addEventListener('click', () => openReplay(null));
+    document.getElementById('replaySelect').addEventListener('change', (e) => {
+        openReplay(replayChoices[e.target.value]);
+    });
+    document.getElementById('replayPlayBtn').addEventListener('click', toggleReplayPlay);
+    document.getElementById('replayRestartBtn').addEventListener('click', () => seekReplay(0));
+    document.getElementById('replayBackBtn').addEventListener('click', () => seekReplay(replay.getFrame() - 1));
+    document.getElementById('replayStepBtn').addEventListener('click', () => seekReplay(replay.getFrame() + 1));
+    document.getElementById('replaySpeed').addEventListener('change', (e) => {
+        replaySpeed = parseFloat(e.target.value);
+    });
+    document.getElementById('replayScrub').addEventListener('input', (e) => {
+        seekReplay(parseInt(e.target.value, 10));
+    });
+    document.getElementById('replayDeaths').addEventListener('change', (e) => {
+        if (e.target.value !== '') {
+            seekReplay(parseInt(e.target.value, 10));
+        }
+    });
+    document.getElementById('replayExportBtn').addEventListener('click', exportReplay);
+    document.getElementById('replayExitBtn').addEventListener('click', exitReplay);
+
+    // Hall of fame
+    document.getElementById('hallOfFameWatchAllBtn').addEventListener('click', () => {
+        watchChampions(trainer.hallOfFame.entries, 'Hall of fame on a fresh course', game.curriculum.level);
+    });
+    document.getElementById('hallOfFameBody').addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (button) {
+            useChampion(button.dataset.action, parseInt(button.dataset.index, 10));
+        }
+    });
+
+    // Evaluation
+    document.getElementById('evaluateRunBtn').addEventListener('click', () => {
+        if (evaluation) {
+            stopEvaluation();
+            setEvaluationStatus('Evaluation stopped');
+        } else {
+            startEvaluation();
+        }
+    });
+    document.getElementById('evaluateFileBtn').addEventListener('click', () => {
+        document.getElementById('evaluateFile').click();
+    });
+    document.getElementById('evaluateFile').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            loadEvaluationFile(e.target.files[0]);
+        }
+        e.target.value = '';    // Allow loading the same file again
+    });
+    document.getElementById('evaluateExportCsvBtn').addEventListener('click', () => exportEvaluation('csv'));
+    document.getElementById('evaluateExportBtn').addEventListener('click', () => exportEvaluation('json'));
+
+    const autosaveCheckbox = document.getElementById('autosaveCheckbox');
+    autosaveCheckbox.checked = localStorage.getItem(AUTOSAVE_ENABLED_KEY) !== 'false';
+    autosaveCheckbox.addEventListener('change', (e) => {
+        localStorage.setItem(AUTOSAVE_ENABLED_KEY, e.target.checked);
+        if (e.target.checked) {
+            autosave();
+        } else {
+            localStorage.removeItem(AUTOSAVE_KEY);
+        }
     });
 }
 
@@ -86,145 +248,1190 @@ function startTraining() {
     // Update UI
     document.getElementById('startBtn').disabled = true;
     document.getElementById('pauseBtn').disabled = false;
+    document.getElementById('backendSelect').disabled = true;
 
-    // Initialize dinos with AI brains
-    initializeGeneration();
+    // Initialize dinos with AI brains (a worker starts its own)
+    if (!backend) {
+        trainer.startGeneration();
+    }
 
-    // Start game loop
-    gameLoop();
+    runSimulation();
 }
 
 function togglePause() {
     isPaused = !isPaused;
 
     const pauseBtn = document.getElementById('pauseBtn');
+    document.getElementById('backendSelect').disabled = !isPaused;
     if (isPaused) {
         pauseBtn.innerHTML = '<span class="btn-icon">▶</span> Resume';
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
+        haltSimulation();
+        if (!backend) {
+            updateStats();      // Turbo mode only updates them now and then (a worker sends its own)
         }
     } else {
         pauseBtn.innerHTML = '<span class="btn-icon">⏸</span> Pause';
+        runSimulation();
+    }
+}
+
+/**
+ * Run training: in the worker if there is one, else in the page's own loop
+ */
+function runSimulation() {
+    tickRate = null;        // Don't count the time spent stopped
+    if (backend) {
+        backend.start();
+    } else {
         gameLoop();
     }
 }
 
-function resetTraining() {
-    // Stop training
-    isTraining = false;
-    isPaused = false;
+function haltSimulation() {
+    if (backend) {
+        backend.pause();
+    }
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
     }
+    document.getElementById('tickRateStat').textContent = '-';
+}
+
+function resetTraining() {
+    if (race) {
+        exitRace();
+    }
+    if (replay) {
+        exitReplay();
+    }
+    stopTraining();
+
+    // Reset everything, starting a new run from the chosen (or a random) seed
+    seed = readSeed();
+    trainer.reset(new SeededRandom(seed), config);
+    if (backend) {
+        backend.reset(seed, config);
+    }
+    raceOpponent = null;
+    showSeed();
+
+    // The old run is gone for good
+    localStorage.removeItem(AUTOSAVE_KEY);
+    setStatus('');
+
+    // Clear canvas
+    renderer.draw();
+    updateStats();
+    updateHistory();
+}
 
-    // Reset everything
-    population.reset();
-    game.reset();
-    dinos = [];
-    bestScore = 0;
-    currentBestDino = null;
+/**
+ * Stop the loop and return the buttons to their idle state
+ */
+function stopTraining() {
+    isTraining = false;
+    isPaused = false;
+    haltSimulation();
 
     // Update UI
     document.getElementById('startBtn').disabled = false;
     document.getElementById('pauseBtn').disabled = true;
+    document.getElementById('backendSelect').disabled = false;
     document.getElementById('pauseBtn').innerHTML = '<span class="btn-icon">⏸</span> Pause';
+}
 
-    // Clear canvas
-    game.draw([]);
-    updateStats();
+/**
+ * Seed from the seed input, or a fresh random one if it's empty
+ * @returns {number}
+ */
+function readSeed() {
+    const value = document.getElementById('seedInput').value.trim();
+    if (value === '') {
+        return SeededRandom.randomSeed();
+    }
+    return parseInt(value, 10) >>> 0;
+}
+
+/**
+ * Show the active seed and put it in the URL so the run can be shared
+ */
+function showSeed() {
+    document.getElementById('seedStat').textContent = seed;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Fast-forward: run several whole simulation ticks per frame, so physics,
+ * spawning and speed-up all scale together and brains behave the same at 1x
+ * @param {string} value - Ticks per frame, or 'max' for turbo mode
+ */
+function setSimulationSpeed(value) {
+    turbo = value === 'max';
+    ticksPerFrame = turbo ? 1 : parseInt(value, 10);
+
+    renderer.enabled = !turbo;
+    visualizer.enabled = !turbo;
+    if (turbo) {
+        renderer.drawMessage('⚡ Turbo mode - rendering paused');
+    } else {
+        renderer.draw();
+        visualizer.draw();
+    }
 }
 
 // ============================================================================
-// GENERATION MANAGEMENT
+// WEB WORKER BACKEND
 // ============================================================================
-function initializeGeneration() {
-    // Reset game state
-    game.reset();
 
-    // Create dinos with AI brains
-    dinos = [];
-    for (let i = 0; i < POPULATION_SIZE; i++) {
-        const brain = population.getNetwork(i);
-        const dino = new Dino(brain);
-        dinos.push(dino);
+/**
+ * Choose where training runs: 'main' (this page's loop) or 'worker' (worker.js,
+ * see backend.js). The run carries over; switch while stopped or paused.
+ * @param {string} value
+ */
+function setBackend(value) {
+    if (backend) {
+        backend.terminate();        // The page already has its last snapshot
+        backend = null;
+    }
+    workerFrame = null;
+    workerBrain = null;
+
+    if (value === 'worker') {
+        try {
+            backend = new WorkerBackend(game.width, game.height);
+        } catch (error) {
+            workerFailed(error);
+            return;
+        }
+        backend.on('frame', message => showWorkerFrame(message.frame));
+        backend.on('stats', message => updateStats(message.stats));
+        backend.on('snapshot', receiveSnapshot);
+        backend.on('error', workerFailed);
+        backend.load(trainer.toJSON());
     }
 
-    currentBestDino = dinos[0]; // Initially, assume first is best
+    // The worker runs flat out and the page draws every frame it sends
+    const speedSelect = document.getElementById('speedSelect');
+    speedSelect.disabled = backend !== null;
+    if (backend) {
+        renderer.enabled = true;
+        visualizer.enabled = true;
+        renderer.draw();
+        visualizer.draw();
+    } else {
+        setSimulationSpeed(speedSelect.value);
+    }
 }
 
-function evolveToNextGeneration() {
-    // Collect fitness scores
-    const fitnessScores = dinos.map(dino => dino.fitness);
+/**
+ * Fall back to training on the page (e.g. workers are blocked on file:// pages)
+ * @param {Error} error
+ */
+function workerFailed(error) {
+    document.getElementById('backendSelect').value = 'main';
+    setBackend('main');
+    if (isTraining && !isPaused) {
+        togglePause();
+    }
+    setStatus(`Web Worker unavailable (${error.message}) - training on the main thread`);
+}
 
-    // Update best score
-    const genBestScore = Math.max(...dinos.map(d => d.score));
-    if (genBestScore > bestScore) {
-        bestScore = genBestScore;
+/**
+ * Mirror a worker frame onto the page's game, so the renderer and visualizer
+ * draw it as if the page were training
+ * @param {Object} frame - See backend.js
+ */
+function showWorkerFrame(frame) {
+    workerFrame = frame;
+    if (frame.best && frame.best.brain) {
+        workerBrain = brainFromJSON(frame.best.brain);
     }
 
-    // Evolve population
-    population.evolve(fitnessScores);
+    let best = null;
+    if (frame.best && workerBrain) {
+        best = { ...frame.best, brain: workerBrain };
+        if (best.activations) {
+            best.activations.forEach((values, l) => workerBrain.lastActivations[l].set(values));
+        } else {
+            workerBrain.predict(best.inputs);   // Activations for the visualizer
+        }
+    }
 
-    // Start new generation
-    initializeGeneration();
+    game.frameCount = frame.frameCount;
+    game.gameSpeed = frame.gameSpeed;
+    game.aliveCount = frame.aliveCount;
+    game.obstacles = frame.obstacles;
+    game.dinos = best ? [best] : [];
+    game.bestDino = best;
+    game.emit('step', game);
+}
+
+/**
+ * Adopt the worker's latest checkpoint, so charts, exports, autosave and
+ * races see its progress, and the replays it recorded
+ * @param {Object} message - { checkpoint, recordings } (see backend.js)
+ */
+function receiveSnapshot(message) {
+    trainer.loadCheckpoint(message.checkpoint);
+    population = trainer.population;
+    message.recordings.forEach(recording => trainer.keepRecording(recording));
+    autosave();
+    updateHistory();
+
+    // Loading reset the page's game; keep showing the worker's
+    if (workerFrame) {
+        showWorkerFrame(workerFrame);
+    }
 }
 
 // ============================================================================
-// GAME LOOP
+// SAVE / LOAD
 // ============================================================================
-function gameLoop() {
-    if (!isTraining || isPaused) return;
 
-    // Update game
-    game.update();
+/**
+ * Download the best brain of the last finished generation
+ */
+function exportBrain() {
+    const brain = population.bestNetwork || (game.bestDino && game.bestDino.brain);
+    if (!brain) {
+        setStatus('Nothing to export yet - train at least one generation');
+        return;
+    }
+    downloadJSON(`dino-brain-gen${population.generation}.json`, brain.toJSON());
+}
 
-    // Update all alive dinos
-    let aliveCount = 0;
-    let bestFitnessThisFrame = 0;
+/**
+ * Download the whole run (all networks, stats and RNG position)
+ */
+function exportCheckpoint() {
+    downloadJSON(`dino-checkpoint-gen${population.generation}.json`, trainer.toJSON());
+}
 
-    for (let dino of dinos) {
-        if (!dino.isAlive) continue;
+/**
+ * Download the per-generation statistics of this run
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportHistory(format) {
+    const filename = `dino-history-seed${seed}-gen${population.generation - 1}`;
+    if (format === 'csv') {
+        downloadFile(`${filename}.csv`, historyToCSV(population.history), 'text/csv');
+    } else {
+        downloadJSON(`${filename}.json`, { seed, history: population.history });
+    }
+}
 
-        aliveCount++;
+/**
+ * Load a brain or checkpoint file chosen by the user
+ * @param {File} file
+ */
+function importFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            if (data.type === 'replay') {
+                openReplay(data);
+                return;
+            }
+            stopTraining();
+
+            if (data.type === 'checkpoint') {
+                loadCheckpoint(data);
+                setStatus(`Loaded checkpoint at generation ${population.generation}`);
+            } else {
+                trainer.loadBrain(data);
+                syncSettings();
+                raceOpponent = brainFromJSON(data);
+                setStatus(`Loaded brain from ${file.name} - population restarted from it`);
+            }
+            if (backend) {
+                backend.load(trainer.toJSON());
+            }
+
+            autosave();
+            renderer.draw();
+            updateStats();
+            updateHistory();
+        } catch (error) {
+            setStatus(`Could not load ${file.name}: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Resume a checkpoint into the running page
+ * @param {Object} data - Parsed checkpoint JSON
+ */
+function loadCheckpoint(data) {
+    trainer.loadCheckpoint(data);
+    population = trainer.population;
+    seed = population.rng.seed;
+    document.getElementById('seedInput').value = seed;
+    showSeed();
+    syncSettings();
+}
+
+/**
+ * Save the run to localStorage (called after every generation)
+ */
+function autosave() {
+    if (!document.getElementById('autosaveCheckbox').checked) return;
 
-        // Get AI inputs
-        const inputs = game.getInputs(dino);
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(trainer.toJSON()));
+    } catch (error) {
+        // Storage full or unavailable - training carries on without it
+        console.warn('Autosave failed:', error);
+    }
+}
 
-        // AI decides: should jump?
-        const outputs = dino.brain.predict(inputs);
-        const shouldJump = outputs[0] > 0.5; // Jump if output > 0.5
+/**
+ * Restore the autosaved run, unless the URL asks for a different seed
+ * @param {string|null} urlSeed - ?seed= from the URL
+ * @returns {boolean} True if a run was resumed
+ */
+function resumeAutosave(urlSeed) {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    if (!saved || !document.getElementById('autosaveCheckbox').checked) return false;
 
-        if (shouldJump) {
-            dino.jump();
+    try {
+        const data = JSON.parse(saved);
+        if (urlSeed !== null && data.population.rng.seed !== (parseInt(urlSeed, 10) >>> 0)) {
+            return false;
         }
 
-        // Update dino physics
-        dino.update(game.gameSpeed);
+        loadCheckpoint(data);
+        setStatus(`Resumed autosave from generation ${population.generation}`);
+        renderer.draw();
+        updateStats();
+        updateHistory();
+        return true;
+    } catch (error) {
+        console.warn('Ignoring unreadable autosave:', error);
+        localStorage.removeItem(AUTOSAVE_KEY);
+        return false;
+    }
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
 
-        // Check collision
-        const closestObstacle = game.getClosestObstacle(dino);
-        if (closestObstacle && dino.collidesWith(closestObstacle)) {
-            dino.die();
+/**
+ * Stored settings, or the defaults if there are none (or they no longer validate)
+ * @returns {Object}
+ */
+function loadSettings() {
+    try {
+        return validateConfig(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch (error) {
+        console.warn('Ignoring stored settings:', error);
+        return defaultConfig();
+    }
+}
+
+/**
+ * Remember the current settings for the next visit
+ */
+function saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(config));
+}
+
+/**
+ * Create one input per CONFIG_FIELDS entry
+ */
+function buildSettingsPanel() {
+    for (const field of CONFIG_FIELDS) {
+        const id = `setting-${field.group}-${field.key}`;
+        let input;
+        if (field.choices) {
+            // One checkbox per registered choice
+            input = document.createElement('span');
+            input.className = 'setting-choices';
+            for (const [name, choice] of Object.entries(field.choices)) {
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.value = name;
+                const option = document.createElement('label');
+                option.append(box, choice.title);
+                input.appendChild(option);
+            }
+        } else if (field.choice) {
+            input = document.createElement('select');
+            for (const [name, choice] of Object.entries(field.choice)) {
+                input.add(new Option(choice.title, name));
+            }
+        } else if (field.options) {
+            input = document.createElement('select');
+            for (const option of field.options) {
+                input.add(new Option(option, option));
+            }
+        } else if (field.list) {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = field.choice ? 'e.g. relu, tanh' : 'e.g. 8, 8';
+            if (field.choice) {
+                input.title = `Any of ${Object.keys(field.choice).join(', ')}`;
+            }
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.integer ? 1 : field.step;
         }
+        input.id = id;
 
-        // Track best dino
-        if (dino.fitness > bestFitnessThisFrame) {
-            bestFitnessThisFrame = dino.fitness;
-            currentBestDino = dino;
+        const label = document.createElement(field.choices ? 'div' : 'label');
+        label.className = field.choices ? 'setting setting-wide' : 'setting';
+        label.append(field.label, input);
+
+        document.getElementById(SETTINGS_GROUPS[field.group]).appendChild(label);
+    }
+    fillSettings(config);
+    showFitness();
+}
+
+/**
+ * Show settings in the panel
+ * @param {Object} values - { population, game, training }
+ */
+function fillSettings(values) {
+    for (const field of CONFIG_FIELDS) {
+        const input = document.getElementById(`setting-${field.group}-${field.key}`);
+        const value = values[field.group][field.key];
+        if (field.choices) {
+            input.querySelectorAll('input').forEach(box => { box.checked = value.includes(box.value); });
+        } else if (field.list) {
+            input.value = value.join(', ');
+        } else {
+            input.value = value;
         }
     }
+    document.getElementById('settingsError').textContent = '';
+}
+
+/**
+ * Validate the panel, then restart training with the new settings
+ */
+function applySettings() {
+    const values = { population: {}, game: {}, training: {} };
+    for (const field of CONFIG_FIELDS) {
+        const input = document.getElementById(`setting-${field.group}-${field.key}`);
+        values[field.group][field.key] = field.choices
+            ? [...input.querySelectorAll('input:checked')].map(box => box.value)
+            : input.value;
+    }
+
+    try {
+        config = validateConfig(values);
+    } catch (error) {
+        document.getElementById('settingsError').textContent = error.message;
+        return;
+    }
+
+    saveSettings();
+    fillSettings(config);
+    showFitness();
+    resetTraining();
+    setStatus('Settings applied - training restarted');
+}
+
+/**
+ * Adopt the settings of a loaded run (checkpoint or brain), so the panel and
+ * the next reset match what is actually training
+ */
+function syncSettings() {
+    config = trainer.getConfig();
+    saveSettings();
+    fillSettings(config);
+    showFitness();
+}
+
+/**
+ * Name the fitness function in use in the How It Works panel
+ */
+function showFitness() {
+    document.getElementById('fitnessInfo').textContent = FITNESS_FUNCTIONS[config.population.fitness].title.toLowerCase();
+}
+
+// ============================================================================
+// HUMAN VS AI RACE
+// ============================================================================
+
+/**
+ * Race the chosen brain (imported or from the hall of fame; else the current best) on a fresh course.
+ * Training is paused and picks up where it was afterwards.
+ */
+function startRace() {
+    if (replay) {
+        exitReplay();
+    }
+    if (isTraining && !isPaused) {
+        togglePause();
+    }
+    if (raceFrameId) {
+        cancelAnimationFrame(raceFrameId);
+    }
 
-    // Check if all dinos are dead
-    if (aliveCount === 0) {
-        // Evolve to next generation
-        evolveToNextGeneration();
+    const canvas = document.getElementById('gameCanvas');
+    const opponent = raceOpponent || population.bestNetwork;
+    race = new Race(opponent, { ...game.getConfig(), width: canvas.width, height: canvas.height });
+    race.game.curriculum.level = game.curriculum.level;     // Same difficulty the AI trained at
+    race.on('finish', showRaceResult);
+    race.start();
+    updateLearnButtons();
+    renderer.attach(race.game);
+    visualizer.attach(race.game);
+
+    // Training controls are off while racing
+    document.getElementById('startBtn').disabled = true;
+    document.getElementById('pauseBtn').disabled = true;
+    document.getElementById('racePanel').hidden = false;
+    document.getElementById('raceResult').textContent = opponent
+        ? 'Space / ↑ / tap to jump, ↓ to duck'
+        : 'No trained brain yet - playing solo. Space / ↑ / tap to jump, ↓ to duck';
+
+    raceLoop();
+}
+
+/**
+ * Leave the race and show training again (still paused)
+ */
+function exitRace() {
+    if (raceFrameId) {
+        cancelAnimationFrame(raceFrameId);
     }
+    race = null;
+    renderer.attach(game);
+    visualizer.attach(game);
 
-    // Render
-    game.draw(dinos, currentBestDino, showBestHighlight);
+    document.getElementById('racePanel').hidden = true;
+    document.getElementById('startBtn').disabled = isTraining;
+    document.getElementById('pauseBtn').disabled = !isTraining;
+}
 
-    // Update stats
+/**
+ * Race at real-time speed (one tick per frame) until it finishes
+ */
+function raceLoop() {
+    race.step();
+    updateRaceScores();
+
+    if (!race.isFinished) {
+        raceFrameId = requestAnimationFrame(raceLoop);
+    }
+}
+
+/**
+ * Space / Up jump, Down ducks; after the race, Space starts another
+ */
+function handleRaceKey(e) {
+    if (!race || !['Space', 'ArrowUp', 'ArrowDown'].includes(e.code)) return;
+    e.preventDefault();     // Don't scroll the page
+
+    if (race.isFinished) {
+        if (e.code === 'Space' && !e.repeat) {
+            startRace();
+        }
+    } else if (e.code === 'ArrowDown') {
+        race.duck(true);
+    } else {
+        race.jump();
+    }
+}
+
+/**
+ * Releasing Down stands the dino back up
+ */
+function handleRaceKeyUp(e) {
+    if (race && e.code === 'ArrowDown') {
+        race.duck(false);
+    }
+}
+
+function updateRaceScores() {
+    document.getElementById('raceHumanScore').textContent = race.human.score;
+    document.getElementById('raceAiScore').textContent = race.ai ? race.ai.score : '-';
+}
+
+/**
+ * @param {string} winner - 'human', 'ai' or 'tie'
+ */
+function showRaceResult(winner) {
+    const messages = {
+        human: '🎉 You win!',
+        ai: '🤖 The AI wins!',
+        tie: '🤝 It\'s a tie!'
+    };
+    const message = race.ai ? messages[winner] : `Game over - you scored ${race.human.score}`;
+    document.getElementById('raceResult').textContent = `${message} (Space to race again)`;
+
+    demonstrations.push(race.demonstration);
+    updateLearnButtons();
+}
+
+// ============================================================================
+// LEARNING FROM PLAY
+// ============================================================================
+
+/**
+ * The player's races recorded with the game's current sensors
+ * @returns {Object[]}
+ */
+function usableDemonstrations() {
+    const labels = game.getInputLabels().join();
+    return demonstrations.filter(demonstration => demonstration.inputLabels.join() === labels);
+}
+
+/**
+ * Learning from play trains fixed networks, so it is off for NEAT populations
+ */
+function updateLearnButtons() {
+    const count = usableDemonstrations().length;
+    const runs = count ? `${count} run${count > 1 ? 's' : ''} recorded` : 'No runs recorded yet';
+    const neat = population.brainType === 'neat';
+    document.getElementById('raceLearnCount').textContent =
+        neat ? `${runs} - learning from play needs brain type fixed or recurrent` : runs;
+    document.getElementById('raceLearnBtn').disabled = neat || count === 0;
+    document.getElementById('raceLearnOneBtn').disabled = neat || count === 0;
+}
+
+/**
+ * Train a brain of the population's shape on the player's races, then restart
+ * the population from it (whole) or put it into the running one
+ * @param {boolean} whole
+ */
+function learnFromPlay(whole) {
+    if (population.brainType === 'neat') {
+        setStatus('Learning from play needs brain type fixed or recurrent - NEAT genomes can\'t be trained from play');
+        return;
+    }
+    const usable = usableDemonstrations();
+    const frames = usable.reduce((sum, demonstration) => sum + demonstration.frames.length, 0);
+    const brain = new NeuralNetwork(game.getInputLabels().length, population.hiddenLayers, game.getOutputLabels().length,
+        new SeededRandom(population.rng.nextSeed()), population.getActivations(), population.brainType === 'recurrent');
+    try {
+        trainImitation(brain, usable);
+        if (whole) {
+            stopTraining();
+            trainer.loadBrain(brain.toJSON());
+            syncSettings();
+        } else {
+            trainer.injectBrain(brain.toJSON());
+        }
+    } catch (error) {
+        setStatus(`Could not learn from your play: ${error.message}`);
+        return;
+    }
+    if (backend) {
+        backend.load(trainer.toJSON());
+    }
+
+    raceOpponent = brain;
+    exitRace();
+    autosave();
+    renderer.draw();
     updateStats();
+    updateHistory();
+    const source = `${usable.length} of your runs (${frames} frames)`;
+    setStatus(whole ? `Population restarted from a brain trained on ${source}`
+        : `A brain trained on ${source} joined the population - the generation restarted with it`);
+}
+
+// ============================================================================
+// REPLAYS
+// ============================================================================
+
+/**
+ * Play a recorded track (the latest one if none is given). Training is
+ * paused, as for a race, and picks up where it was afterwards.
+ * @param {Object|null} recording - See replay.js
+ */
+function openReplay(recording) {
+    recording = recording || trainer.recordings[trainer.recordings.length - 1];
+    if (!recording) {
+        setStatus('No replays yet - tracks are recorded as generations finish');
+        return;
+    }
+
+    let player;
+    try {
+        player = new ReplayPlayer(recording);
+    } catch (error) {
+        setStatus(`Could not play the replay: ${error.message}`);
+        return;
+    }
+
+    if (race) {
+        exitRace();
+    }
+    if (isTraining && !isPaused) {
+        togglePause();
+    }
+    stopReplay();
+
+    replay = player;
+    renderer.showPlayers = false;
+    renderer.attach(replay.game);
+    visualizer.attach(replay.game);
+
+    // Training controls are off while watching
+    document.getElementById('startBtn').disabled = true;
+    document.getElementById('pauseBtn').disabled = true;
+    document.getElementById('replayPanel').hidden = false;
+    document.getElementById('replayScrub').max = recording.frames;
+    showReplayChoices(recording);
+    showReplayDeaths();
+
+    toggleReplayPlay();
+}
+
+/**
+ * Leave the replay and show training again (still paused)
+ */
+function exitReplay() {
+    stopReplay();
+    replay = null;
+    renderer.showPlayers = true;
+    renderer.deaths = [];
+    renderer.attach(game);
+    visualizer.attach(game);
+
+    document.getElementById('replayPanel').hidden = true;
+    document.getElementById('startBtn').disabled = isTraining;
+    document.getElementById('pauseBtn').disabled = !isTraining;
+}
+
+/**
+ * List the trainer's recordings, newest first (plus the one shown, if it was imported)
+ * @param {Object} current - Recording on screen
+ */
+function showReplayChoices(current) {
+    replayChoices = [...trainer.recordings].reverse();
+    if (!replayChoices.includes(current)) {
+        replayChoices.unshift(current);
+    }
+
+    const select = document.getElementById('replaySelect');
+    select.innerHTML = '';
+    replayChoices.forEach((recording, i) => {
+        const imported = !trainer.recordings.includes(recording);
+        const name = recording.title || `${imported ? 'Imported: ' : ''}Gen ${recording.generation}, track ${recording.track}`;
+        select.add(new Option(name, i));
+    });
+    select.value = replayChoices.indexOf(current);
+}
+
+/**
+ * List every death of the replay, to jump to
+ */
+function showReplayDeaths() {
+    const deaths = listDeaths(replay.recording);
+    const select = document.getElementById('replayDeaths');
+    select.innerHTML = '';
+    select.add(new Option(`Deaths (${deaths.length})`, ''));
+    for (const { frame, dino, y, obstacle } of deaths) {
+        const [, kind, , width, height] = obstacle;
+        const where = y > 0 ? `mid-air at ${y.toFixed(1)}` : 'on the ground';
+        select.add(new Option(`Frame ${frame}: dino ${dino + 1} hit a ${width}×${height} ${kind} ${where}`, frame));
+    }
+}
+
+function toggleReplayPlay() {
+    if (replayPlaying) {
+        stopReplay();
+    } else {
+        if (replay.isFinished()) {
+            replay.seek(0);
+        }
+        replayPlaying = true;
+        replayCarry = 0;
+        replayLoop();
+    }
+    updateReplay();
+}
+
+/**
+ * Pause playback and show a frame
+ * @param {number} frame
+ */
+function seekReplay(frame) {
+    stopReplay();
+    replay.seek(clamp(frame, 0, replay.recording.frames));
+    updateReplay();
+}
+
+function stopReplay() {
+    replayPlaying = false;
+    if (replayFrameId) {
+        cancelAnimationFrame(replayFrameId);
+        replayFrameId = null;
+    }
+}
+
+/**
+ * Play at the chosen speed; slow motion plays a frame every few animation frames
+ */
+function replayLoop() {
+    replayCarry += replaySpeed;
+    while (replayCarry >= 1) {
+        replayCarry--;
+        if (!replay.step()) {
+            replayPlaying = false;
+            break;
+        }
+    }
+    updateReplay();
+
+    if (replayPlaying) {
+        replayFrameId = requestAnimationFrame(replayLoop);
+    }
+}
+
+/**
+ * Frame counter, scrub bar and death marks for the frame on screen
+ */
+function updateReplay() {
+    const frame = replay.getFrame();
+    document.getElementById('replayScrub').value = frame;
+    document.getElementById('replayFrame').textContent =
+        `Frame ${frame} / ${replay.recording.frames} · ${replay.game.aliveCount} alive`;
+    document.getElementById('replayPlayBtn').textContent = replayPlaying ? '⏸' : '▶';
+    document.getElementById('replayWarning').textContent = replay.desyncFrame === null ? ''
+        : `Playback differs from the recording from frame ${replay.desyncFrame} (recorded by another version?)`;
+
+    renderer.deaths = replay.getRecentDeaths(DEATH_MARK_FRAMES);
+    renderer.requestDraw();
+}
+
+/**
+ * Download the replay on screen
+ */
+function exportReplay() {
+    const { generation, track } = replay.recording;
+    downloadJSON(`dino-replay-gen${generation}-track${track}.json`, replay.recording);
+}
+
+// ============================================================================
+// HALL OF FAME
+// ============================================================================
+
+/**
+ * List the run's best champions, best first, each with its actions
+ */
+function updateHallOfFame() {
+    const entries = trainer.hallOfFame.entries;
+    const body = document.getElementById('hallOfFameBody');
+    body.innerHTML = '';
+
+    entries.forEach((entry, i) => {
+        const row = body.insertRow();
+        const validation = Number.isFinite(entry.validation) ? entry.validation : '-';
+        for (const value of [i + 1, entry.generation, Math.round(entry.score), validation, entry.level, describeBrain(entry.brain)]) {
+            row.insertCell().textContent = value;
+        }
+
+        const actions = row.insertCell();
+        actions.className = 'hall-actions';
+        for (const [action, label, title] of [
+            ['watch', 'Watch', 'Play it alone on a fresh course'],
+            ['race', 'Race', 'Race it yourself'],
+            ['seed', 'Seed', 'Put it back into the population'],
+            ['evaluate', 'Evaluate', 'Measure it on the evaluation courses'],
+            ['export', 'Export', 'Download it as a brain file']
+        ]) {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary btn-small';
+            button.textContent = label;
+            button.title = title;
+            button.dataset.action = action;
+            button.dataset.index = i;
+            actions.appendChild(button);
+        }
+    });
+
+    document.getElementById('hallOfFameEmpty').hidden = entries.length > 0;
+    document.getElementById('hallOfFameWatchAllBtn').disabled = entries.length === 0;
+}
+
+/**
+ * Watch, race, re-seed, evaluate or export one champion
+ * @param {string} action - 'watch', 'race', 'seed', 'evaluate' or 'export'
+ * @param {number} index - Into trainer.hallOfFame.entries
+ */
+function useChampion(action, index) {
+    const entry = trainer.hallOfFame.entries[index];
+    const name = `#${index + 1} (gen ${entry.generation})`;
+
+    switch (action) {
+        case 'watch':
+            watchChampions([entry], `Hall of fame ${name} on a fresh course`, entry.level);
+            break;
+        case 'race':
+            raceOpponent = brainFromJSON(entry.brain);
+            startRace();
+            break;
+        case 'seed':
+            try {
+                trainer.injectBrain(entry.brain);
+            } catch (error) {
+                setStatus(`Could not seed ${name}: ${error.message}`);
+                return;
+            }
+            if (backend) {
+                backend.load(trainer.toJSON());
+            }
+            renderer.draw();
+            updateStats();
+            setStatus(`Champion ${name} is back in the population - the generation restarted with it`);
+            break;
+        case 'evaluate':
+            document.getElementById('evaluateBrain').value =
+                evaluationChoices.findIndex(choice => choice.data === entry.brain);
+            startEvaluation();
+            break;
+        case 'export':
+            downloadJSON(`dino-champion-gen${entry.generation}.json`, entry.brain);
+            break;
+    }
+}
+
+/**
+ * Let champions play a fresh course together, away from training, and
+ * show it in the replay viewer (dino 1 is the best ranked)
+ * @param {Object[]} entries - Hall of fame entries
+ * @param {string} title - Name in the replay list
+ * @param {number} level - Difficulty of the course
+ */
+function watchChampions(entries, title, level) {
+    const brains = entries.map(entry => brainFromJSON(entry.brain));
+    const { recording } = trainer.playTrack(brains, { seed: SeededRandom.randomSeed() }, {
+        maxFrames: WATCH_MAX_FRAMES,
+        level,
+        label: { generation: entries[0].generation, track: 1 }
+    });
+    recording.title = title;
+    openReplay(recording);
+}
+
+/**
+ * Short description of a saved brain, e.g. "NEAT, 2 hidden, 17 links" or "Fixed, 8-8 hidden, relu"
+ * @param {Object} data - Brain JSON
+ * @returns {string}
+ */
+function describeBrain(data) {
+    if (data.type === 'neat') {
+        const hidden = data.nodes.filter(node => node.type === 'hidden').length;
+        const links = data.connections.filter(gene => gene.enabled).length;
+        return `NEAT, ${hidden} hidden, ${links} links`;
+    }
+    const { hiddenLayers, activations, recurrent } = NeuralNetwork.fromJSON(data);
+    return `${recurrent ? 'Recurrent' : 'Fixed'}, ${hiddenLayers.join('-')} hidden, ${activations.slice(0, -1).join('-')}`;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * List the brains that can be evaluated: the last generation's best, the
+ * hall of fame and a loaded file (keeps the selection where it can)
+ */
+function showEvaluationChoices() {
+    const select = document.getElementById('evaluateBrain');
+    const selected = evaluationChoices[select.value];
+
+    evaluationChoices = [];
+    if (population.bestNetwork) {
+        evaluationChoices.push({ name: `Best of generation ${population.generation - 1}`, data: population.bestNetwork.toJSON() });
+    }
+    trainer.hallOfFame.entries.forEach((entry, i) => {
+        evaluationChoices.push({ name: `Hall of fame #${i + 1} (gen ${entry.generation})`, data: entry.brain });
+    });
+    if (evaluationFile) {
+        evaluationChoices.push(evaluationFile);
+    }
+
+    select.innerHTML = '';
+    evaluationChoices.forEach((choice, i) => select.add(new Option(choice.name, i)));
+    if (selected) {
+        select.value = Math.max(0, evaluationChoices.findIndex(choice => choice.name === selected.name));
+    }
+    document.getElementById('evaluateRunBtn').disabled = evaluationChoices.length === 0 && !evaluation;
+}
+
+/**
+ * Load a brain file to evaluate, without touching training. A checkpoint
+ * gives the best brain of its last finished generation.
+ * @param {File} file
+ */
+function loadEvaluationFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            let data = JSON.parse(reader.result);
+            if (data.type === 'checkpoint') {
+                if (!data.population.bestNetwork) {
+                    throw new Error('the checkpoint has no finished generation yet');
+                }
+                data = data.population.bestNetwork;
+            }
+            brainFromJSON(data);        // Throws if it isn't a brain this version can read
+
+            evaluationFile = { name: `File: ${file.name}`, data };
+            showEvaluationChoices();
+            document.getElementById('evaluateBrain').value = evaluationChoices.indexOf(evaluationFile);
+            setEvaluationStatus(`Loaded ${file.name} - press Evaluate`);
+        } catch (error) {
+            setEvaluationStatus(`Could not load ${file.name}: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Evaluation options from the panel (empty or invalid fields use the defaults;
+ * an empty level means the level training is at)
+ * @returns {Object} See EVALUATION_DEFAULTS
+ */
+function readEvaluationOptions() {
+    const read = (id, fallback, min, max) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isNaN(value) ? fallback : clamp(value, min, max);
+    };
+    return {
+        courses: read('evaluateCourses', EVALUATION_DEFAULTS.courses, 1, 1000),
+        seed: read('evaluateSeed', EVALUATION_DEFAULTS.seed, 0, 0xFFFFFFFF),
+        level: read('evaluateLevel', game.curriculum.level, 0, MAX_LEVEL),
+        maxFrames: read('evaluateMaxFrames', EVALUATION_DEFAULTS.maxFrames, 1, 1000000)
+    };
+}
+
+/**
+ * Evaluate the chosen brain with the current game settings. Runs alongside
+ * training, a slice of courses at a time, so the page stays responsive.
+ */
+function startEvaluation() {
+    const choice = evaluationChoices[document.getElementById('evaluateBrain').value];
+    if (!choice) return;
+
+    stopEvaluation();
+    try {
+        evaluation = new Evaluation(brainFromJSON(choice.data),
+            { ...game.getConfig(), width: game.width, height: game.height }, readEvaluationOptions());
+    } catch (error) {
+        setEvaluationStatus(`Could not evaluate ${choice.name}: ${error.message}`);
+        return;
+    }
+    evaluationName = choice.name;
+    document.getElementById('evaluateRunBtn').textContent = 'Stop';
+    evaluationLoop();
+}
+
+function stopEvaluation() {
+    clearTimeout(evaluationTimer);
+    evaluation = null;
+    document.getElementById('evaluateRunBtn').textContent = 'Evaluate';
+}
+
+function evaluationLoop() {
+    const deadline = performance.now() + EVALUATION_SLICE_MS;
+    while (performance.now() < deadline && evaluation.runCourse()) {
+        // Play courses until the slice is used up
+    }
+
+    if (evaluation.isFinished()) {
+        showEvaluation({ name: evaluationName, ...evaluation.getReport() });
+        stopEvaluation();
+    } else {
+        setEvaluationStatus(`Evaluating ${evaluationName}: course ${evaluation.results.length + 1} of ${evaluation.tracks.length}`);
+        evaluationTimer = setTimeout(evaluationLoop, 0);
+    }
+}
+
+/**
+ * Show a finished evaluation: score summary and what killed the brain
+ * @param {Object} report - Evaluation.getReport(), plus the brain's name
+ */
+function showEvaluation(report) {
+    evaluationReport = report;
+    const { score, speed } = report;
+    setEvaluationStatus(`${report.name} on ${report.courses} courses (seed ${report.seed}, level ${report.level}, ` +
+        `up to ${report.maxFrames} frames each)`);
+    document.getElementById('evaluateSummary').textContent =
+        `Score: mean ${score.mean.toFixed(1)}, median ${score.median}, max ${score.max}, min ${score.min} · ` +
+        `Speed reached: mean ${speed.mean.toFixed(2)}, max ${speed.max.toFixed(2)} · ` +
+        `Survived ${report.survived} of ${report.courses}`;
+
+    const body = document.getElementById('evaluateDeaths');
+    body.innerHTML = '';
+    for (const [kind, types] of Object.entries(report.deaths)) {
+        types.forEach((phases, type) => {
+            const { title, width, height, altitude } = OBSTACLE_TYPES[kind][type];
+            const counts = DEATH_PHASES.map(phase => phases[phase]);
+            const row = body.insertRow();
+            const label = row.insertCell();
+            label.textContent = title;
+            label.title = `${width}×${height}, ${altitude} above the ground`;
+            for (const value of [...counts, counts.reduce((a, b) => a + b, 0)]) {
+                row.insertCell().textContent = value;
+            }
+        });
+    }
+
+    document.getElementById('evaluateResults').hidden = false;
+    document.getElementById('evaluateExportCsvBtn').disabled = false;
+    document.getElementById('evaluateExportBtn').disabled = false;
+}
+
+/**
+ * Download the last evaluation: its summary and courses (JSON), or one row per course (CSV)
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportEvaluation(format) {
+    const filename = `dino-evaluation-seed${evaluationReport.seed}-level${evaluationReport.level}`;
+    if (format === 'csv') {
+        downloadFile(`${filename}.csv`, evaluationToCSV(evaluationReport), 'text/csv');
+    } else {
+        downloadJSON(`${filename}.json`, evaluationReport);
+    }
+}
+
+function setEvaluationStatus(message) {
+    document.getElementById('evaluateStatus').textContent = message;
+}
+
+// ============================================================================
+// GAME LOOP
+// ============================================================================
+function gameLoop() {
+    if (!isTraining || isPaused) return;
+
+    // Advance the simulation (the trainer evolves when all dinos are dead;
+    // the renderer redraws itself from the game's step event)
+    if (turbo) {
+        // As many ticks as fit in the frame budget; stats only now and then
+        const deadline = performance.now() + TURBO_FRAME_BUDGET_MS;
+        while (performance.now() < deadline) {
+            trainer.step();
+            if (++ticksSinceStats >= TURBO_STATS_INTERVAL) {
+                ticksSinceStats = 0;
+                updateStats();
+            }
+        }
+    } else {
+        for (let i = 0; i < ticksPerFrame; i++) {
+            trainer.step();
+        }
+
+        // Update stats
+        updateStats();
+    }
 
     // Continue loop
     animationFrameId = requestAnimationFrame(gameLoop);
@@ -233,24 +1440,60 @@ function gameLoop() {
 // ============================================================================
 // UI UPDATES
 // ============================================================================
-function updateStats() {
+/**
+ * Show training stats
+ * @param {Object} stats - Trainer.getStats(), of this page's trainer or the worker's
+ */
+function updateStats(stats = trainer.getStats()) {
     // Generation
-    document.getElementById('generationStat').textContent = population.generation;
+    document.getElementById('generationStat').textContent = stats.generation;
 
     // Alive count
-    const aliveCount = dinos.filter(d => d.isAlive).length;
-    document.getElementById('aliveStat').textContent = aliveCount;
+    document.getElementById('aliveStat').textContent = stats.aliveCount;
 
     // Best score (all-time)
-    document.getElementById('bestScoreStat').textContent = bestScore;
+    document.getElementById('bestScoreStat').textContent = stats.bestScore;
 
     // Best fitness (current generation)
-    const bestFitness = Math.floor(population.bestFitness);
+    const bestFitness = Math.floor(stats.bestFitness);
     document.getElementById('bestFitnessStat').textContent = bestFitness;
 
     // Average fitness
-    const avgFitness = Math.floor(population.avgFitness);
+    const avgFitness = Math.floor(stats.avgFitness);
     document.getElementById('avgFitnessStat').textContent = avgFitness;
+
+    // Species count (NEAT only)
+    document.getElementById('speciesStat').textContent = stats.species || '-';
+
+    // Difficulty level (adaptive curriculum)
+    document.getElementById('levelStat').textContent = stats.level === null ? '-' : stats.level;
+
+    // Track being played, of this generation's tracks
+    document.getElementById('trackStat').textContent = stats.tracks > 0 ? `${stats.track}/${stats.tracks}` : '-';
+
+    // Last generation's best on the held-out validation track
+    document.getElementById('validationStat').textContent = stats.validation === null ? '-' : stats.validation;
+
+    // Simulated frames per second, averaged over a window
+    const now = performance.now();
+    if (!tickRate || stats.ticks < tickRate.ticks) {
+        tickRate = { ticks: stats.ticks, time: now };       // New measurement (or a new trainer)
+    } else if (now - tickRate.time >= TICK_RATE_WINDOW_MS) {
+        const rate = (stats.ticks - tickRate.ticks) * 1000 / (now - tickRate.time);
+        document.getElementById('tickRateStat').textContent =
+            rate >= 1000 ? `${(rate / 1000).toFixed(1)}k/s` : `${Math.round(rate)}/s`;
+        tickRate = { ticks: stats.ticks, time: now };
+    }
+}
+
+/**
+ * Redraw the history chart, the hall of fame and the brains to evaluate
+ * (after each generation, not every frame)
+ */
+function updateHistory() {
+    historyChart.draw(population.history);
+    updateHallOfFame();
+    showEvaluationChoices();
 }
 
 // ============================================================================
@@ -271,6 +1514,33 @@ function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
 }
 
+/**
+ * Offer data as a JSON file download
+ */
+function downloadJSON(filename, data) {
+    downloadFile(filename, JSON.stringify(data), 'application/json');
+}
+
+/**
+ * Offer text as a file download
+ */
+function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show a short message next to the save/load controls
+ */
+function setStatus(message) {
+    document.getElementById('statusText').textContent = message;
+}
+
 // ============================================================================
 // CONSOLE HELPERS (for debugging)
 // ============================================================================
@@ -279,14 +1549,18 @@ window.getStats = function () {
         generation: population.generation,
         bestFitness: population.bestFitness,
         avgFitness: population.avgFitness,
-        bestScore: bestScore,
-        aliveCount: dinos.filter(d => d.isAlive).length,
-        totalDinos: dinos.length
+        species: population.species.length,
+        level: game.curriculum.getLevel(),
+        history: population.history,
+        seed: seed,
+        bestScore: trainer.bestScore,
+        aliveCount: game.aliveCount,
+        totalDinos: trainer.dinos.length
     };
 };
 
 window.getCurrentBest = function () {
-    return currentBestDino;
+    return game.bestDino;
 };
 
 console.log('%c🦖 AI Dino Runner Loaded! %c', 'background: #6366f1; color: white; padding: 4px 8px; border-radius: 4px; font-weight: bold;', '');
@@ -3,36 +3,592 @@
  * Simplified implementation for training AI dinos
  */
 
+// ============================================================================
+// ACTIVATIONS - name -> { title, apply(x), slope(y) }
+// ============================================================================
+const ACTIVATIONS = {};
+
+/**
+ * Add an activation function (or replace one) so fixed networks can use it on any layer
+ * @param {string} name - Key used in NeuralNetwork.activations
+ * @param {Object} activation - { title, apply(x) -> number, slope(y) -> derivative at the output y; omit if it has
+ *                              none to learn with (needed to train from play, see imitation.js) }
+ */
+function registerActivation(name, activation) {
+    ACTIVATIONS[name] = activation;
+}
+
+registerActivation('sigmoid', { title: 'Sigmoid (0 to 1)', apply: x => 1 / (1 + Math.exp(-x)), slope: y => y * (1 - y) });
+registerActivation('tanh', { title: 'Tanh (-1 to 1)', apply: Math.tanh, slope: y => 1 - y * y });
+registerActivation('relu', { title: 'ReLU', apply: x => (x > 0 ? x : 0), slope: y => (y > 0 ? 1 : 0) });
+registerActivation('leakyRelu', { title: 'Leaky ReLU', apply: x => (x > 0 ? x : 0.01 * x), slope: y => (y > 0 ? 1 : 0.01) });
+registerActivation('step', { title: 'Step (0 or 1)', apply: x => (x > 0 ? 1 : 0) });
+registerActivation('identity', { title: 'Identity', apply: x => x, slope: () => 1 });
+
 // ============================================================================
 // NEURAL NETWORK - Forward propagation brain
 // ============================================================================
 class NeuralNetwork {
-    constructor(inputCount, hiddenCount, outputCount) {
+    /**
+     * @param {number} inputCount
+     * @param {number|number[]} hiddenLayers - Neurons of each hidden layer (a number: one layer)
+     * @param {number} outputCount
+     * @param {SeededRandom} rng - Source of all randomness (weights, mutation, crossover)
+     * @param {string[]} activations - Per layer after the inputs (hidden layers, then outputs), keys of
+     *                                 ACTIVATIONS; default sigmoid everywhere
+     * @param {boolean} recurrent - Elman network: hidden layers also see their own previous values
+     * @param {Object} parameters - { weights, biases, recurrentWeights } to take over instead of drawing
+     *                              random ones (copies, children and saved networks)
+     */
+    constructor(inputCount, hiddenLayers, outputCount, rng = new SeededRandom(), activations = null, recurrent = false,
+        parameters = null) {
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+        this.layers = [inputCount, ...[].concat(hiddenLayers), outputCount];    // Neurons per layer, inputs first
+        this.activations = activations ? [...activations] : this.layers.slice(1).map(() => 'sigmoid');
+        this.recurrent = recurrent;
+        this.rng = rng;
+
+        const unknown = this.activations.filter(name => !ACTIVATIONS[name]);
+        if (this.activations.length !== this.layers.length - 1 || unknown.length > 0) {
+            throw new Error(`Expected one known activation per layer after the inputs (${this.layers.length - 1}), ` +
+                `got ${this.activations.join(', ')}`);
+        }
+
+        if (parameters) {
+            this.weights = parameters.weights;
+            this.biases = parameters.biases;
+            this.recurrentWeights = parameters.recurrentWeights;
+        } else {
+            // Weights from each layer to the next, row-major
+            // (weights[l][j * layers[l] + i] connects neuron i of layer l to neuron j of layer l + 1)
+            this.weights = [];
+            for (let l = 1; l < this.layers.length; l++) {
+                this.weights.push(this.randomWeights(this.layers[l] * this.layers[l - 1]));
+            }
+
+            // Biases of every layer after the inputs
+            this.biases = this.layers.slice(1).map(count => this.randomWeights(count));
+
+            // Recurrent networks: weights from each hidden layer's values on the previous forward
+            // pass back into the same layer (recurrentWeights[h][j * size + k] connects neuron k to j)
+            this.recurrentWeights = recurrent ? this.hiddenLayers.map(size => this.randomWeights(size * size)) : [];
+        }
+
+        this.mutationPower = null;      // Own step size (self-adaptive mutation); null = the population's
+
+        // Values of the last forward pass per layer (for the visualizer), overwritten by the next one
+        this.lastActivations = this.layers.map(count => new Float64Array(count));
+
+        // Memory of recurrent networks: each hidden layer's values on the previous forward pass
+        this.state = recurrent ? this.hiddenLayers.map(size => new Float64Array(size)) : [];
+    }
+
+    /**
+     * Neurons of each hidden layer
+     * @returns {number[]}
+     */
+    get hiddenLayers() {
+        return this.layers.slice(1, -1);
+    }
+
+    /**
+     * Random weights between -1 and 1
+     * @param {number} count
+     * @returns {Float32Array}
+     */
+    randomWeights(count) {
+        const weights = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            weights[i] = this.rng.random() * 2 - 1;
+        }
+        return weights;
+    }
+
+    /**
+     * Whether another brain is a fixed network of the same layers, activations
+     * and recurrence (so they can be crossed over, batched or swapped for each other)
+     * @param {NeuralNetwork|Genome} other
+     * @returns {boolean}
+     */
+    hasShapeOf(other) {
+        return other instanceof NeuralNetwork && other.layers.join() === this.layers.join() &&
+            other.activations.join() === this.activations.join() && other.recurrent === this.recurrent;
+    }
+
+    /**
+     * Forward propagation - get output from inputs
+     * @param {number[]} inputArray - Array of input values
+     * @returns {Float64Array} Output values (reused: overwritten by the next call)
+     */
+    predict(inputArray) {
+        this.lastActivations[0].set(inputArray);
+        feedForward(this, this.lastActivations, this.state, 0);
+        return this.lastActivations[this.layers.length - 1];
+    }
+
+    /**
+     * Forget what a recurrent network remembers, before it starts a new run
+     */
+    resetState() {
+        this.state.forEach(values => values.fill(0));
+    }
+
+    /**
+     * Nodes (ids: inputs, then each hidden layer, then outputs) and weighted connections, for drawing.
+     * Recurrent connections join neurons of the same hidden layer and are marked recurrent.
+     * @returns {Object} { nodes: [{ id, type, layer }], connections: [{ from, to, weight, enabled, recurrent }], layerCount }
+     */
+    getTopology() {
+        const nodes = [];
+        const connections = [];
+        const last = this.layers.length - 1;
+
+        let start = 0;
+        this.layers.forEach((count, l) => {
+            const type = l === 0 ? 'input' : l === last ? 'output' : 'hidden';
+            const previous = l === 0 ? 0 : this.layers[l - 1];
+            const previousStart = start - previous;
+            const recurrentWeights = this.recurrentWeights[l - 1];     // Hidden layers of recurrent networks only
+            for (let j = 0; j < count; j++) {
+                nodes.push({ id: start + j, type, layer: l });
+                for (let i = 0; i < previous; i++) {
+                    connections.push({ from: previousStart + i, to: start + j, weight: this.weights[l - 1][j * previous + i], enabled: true });
+                }
+                if (recurrentWeights) {
+                    for (let k = 0; k < count; k++) {
+                        connections.push({ from: start + k, to: start + j, weight: recurrentWeights[j * count + k], enabled: true, recurrent: true });
+                    }
+                }
+            }
+            start += count;
+        });
+
+        return { nodes, connections, layerCount: this.layers.length };
+    }
+
+    /**
+     * Node values from the last forward pass, keyed by getTopology() id
+     * @returns {Map<number, number>}
+     */
+    getActivations() {
+        const values = new Map();
+        let id = 0;
+        for (const layer of this.lastActivations) {
+            layer.forEach(value => values.set(id++, value));
+        }
+        return values;
+    }
+
+    /**
+     * Create a copy of this network
+     */
+    copy() {
+        const copy = new NeuralNetwork(this.inputCount, this.hiddenLayers, this.outputCount, this.rng,
+            this.activations, this.recurrent, {
+                weights: this.weights.map(weights => weights.slice()),
+                biases: this.biases.map(biases => biases.slice()),
+                recurrentWeights: this.recurrentWeights.map(weights => weights.slice())
+            });
+        copy.mutationPower = this.mutationPower;
+        return copy;
+    }
+
+    /**
+     * Every weight and bias as one vector, in the order mutate() and crossover() visit them
+     * @returns {Float32Array}
+     */
+    getWeights() {
+        const parts = [...this.weights, ...this.biases, ...this.recurrentWeights];
+        const vector = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            vector.set(part, offset);
+            offset += part.length;
+        }
+        return vector;
+    }
+
+    /**
+     * Replace every weight and bias from a vector laid out like getWeights()
+     * @param {ArrayLike<number>} vector
+     */
+    setWeights(vector) {
+        let offset = 0;
+        for (const part of [...this.weights, ...this.biases, ...this.recurrentWeights]) {
+            part.set(vector.slice(offset, offset + part.length));
+            offset += part.length;
+        }
+    }
+
+    /**
+     * Mutate weights and biases (in place)
+     * @param {number} rate - Mutation rate (0-1)
+     * @param {number} power - Size of a mutation (meaning depends on perturb)
+     * @param {Function} perturb - (value, power, rng) -> mutated value (see strategies.js)
+     */
+    mutate(rate, power = 0.5, perturb = uniformNoise) {
+        for (const weights of [...this.weights, ...this.biases, ...this.recurrentWeights]) {
+            for (let i = 0; i < weights.length; i++) {
+                if (this.rng.random() < rate) {
+                    weights[i] = perturb(weights[i], power, this.rng);
+                }
+            }
+        }
+    }
+
+    /**
+     * Serialize weights, biases, layer sizes, activations and recurrence (see brainFromJSON).
+     * Weights are saved per layer as rows (one array per neuron they lead to).
+     */
+    toJSON() {
+        return {
+            type: 'fixed',
+            version: FORMAT_VERSION,
+            inputCount: this.inputCount,
+            hiddenLayers: this.hiddenLayers,
+            outputCount: this.outputCount,
+            activations: this.activations,
+            recurrent: this.recurrent,
+            weights: this.weights.map((weights, l) => toRows(weights, this.layers[l])),
+            biases: this.biases.map(biases => Array.from(biases)),
+            recurrentWeights: this.recurrentWeights.map((weights, h) => toRows(weights, this.layers[h + 1])),
+            mutationPower: this.mutationPower
+        };
+    }
+
+    /**
+     * Rebuild a network saved with toJSON()
+     * @param {Object} data
+     * @param {SeededRandom} rng
+     * @returns {NeuralNetwork}
+     */
+    static fromJSON(data, rng = new SeededRandom()) {
+        checkFormat(data, ['fixed']);
+
+        // Version 1 files: one sigmoid hidden layer, weights and biases as rows
+        if (!data.weights) {
+            data = {
+                ...data,
+                hiddenLayers: [data.hiddenCount],
+                weights: [data.weightsIH, data.weightsHO],
+                biases: [data.biasH.flat(), data.biasO.flat()]
+            };
+        }
+
+        const network = new NeuralNetwork(data.inputCount, data.hiddenLayers, data.outputCount, rng,
+            data.activations, data.recurrent === true, {
+                weights: data.weights.map(rows => Float32Array.from(rows.flat())),
+                biases: data.biases.map(biases => Float32Array.from(biases)),
+                recurrentWeights: (data.recurrentWeights || []).map(rows => Float32Array.from(rows.flat()))
+            });
+        network.mutationPower = data.mutationPower || null;
+        return network;
+    }
+
+    /**
+     * Crossover with another network of the same shape (mix genes)
+     * @param {NeuralNetwork} partner 
+     * @param {Object} strategy - Entry of CROSSOVER_STRATEGIES
+     * @returns {NeuralNetwork} Child network
+     */
+    crossover(partner, strategy = CROSSOVER_STRATEGIES.uniform) {
+        // Mix weights from both parents, value by value in a fixed order
+        const count = [...this.weights, ...this.biases, ...this.recurrentWeights]
+            .reduce((sum, weights) => sum + weights.length, 0);
+        const mix = strategy.begin(count, this.rng);
+        let index = 0;
+        const crossoverWeights = (a, b) => a.map((value, i) => mix(value, b[i], index++));
+
+        const child = new NeuralNetwork(this.inputCount, this.hiddenLayers, this.outputCount, this.rng,
+            this.activations, this.recurrent, {
+                weights: this.weights.map((weights, l) => crossoverWeights(weights, partner.weights[l])),
+                biases: this.biases.map((biases, l) => crossoverWeights(biases, partner.biases[l])),
+                recurrentWeights: this.recurrentWeights.map((weights, h) => crossoverWeights(weights, partner.recurrentWeights[h]))
+            });
+        child.mutationPower = this.mutationPower;
+        return child;
+    }
+}
+
+/**
+ * Forward pass of network n in a set of same-shaped networks stored back to back
+ * (a single NeuralNetwork is the set of one). Shared by NeuralNetwork.predict()
+ * and NetworkBatch.predict(), so both give exactly the same outputs.
+ * @param {Object} network - { layers, activations, weights, biases, recurrentWeights }
+ * @param {Float64Array[]} values - Per layer: inputs (read), then every other layer (written)
+ * @param {Float64Array[]} state - Per hidden layer of recurrent networks: its previous values (read, then updated)
+ * @param {number} n - Which network
+ */
+function feedForward(network, values, state, n) {
+    const { layers, activations, weights, biases, recurrentWeights } = network;
+    for (let l = 1; l < layers.length; l++) {
+        const inCount = layers[l - 1];
+        const outCount = layers[l];
+        const input = values[l - 1];
+        const output = values[l];
+        const layerWeights = weights[l - 1];
+        const layerBiases = biases[l - 1];
+        const activate = ACTIVATIONS[activations[l - 1]].apply;
+        const recurrent = recurrentWeights[l - 1];          // None for the output layer
+        const memory = state[l - 1];
+        const inStart = n * inCount;
+        const outStart = n * outCount;
+
+        let w = outStart * inCount;
+        let r = outStart * outCount;
+        for (let j = 0; j < outCount; j++) {
+            let sum = 0;
+            for (let i = 0; i < inCount; i++) {
+                sum += layerWeights[w++] * input[inStart + i];
+            }
+            if (recurrent) {
+                for (let k = 0; k < outCount; k++) {
+                    sum += recurrent[r++] * memory[outStart + k];
+                }
+            }
+            output[outStart + j] = activate(sum + layerBiases[outStart + j]);
+        }
+
+        // Remember this layer's values for the next pass
+        if (recurrent) {
+            for (let j = 0; j < outCount; j++) {
+                memory[outStart + j] = output[outStart + j];
+            }
+        }
+    }
+}
+
+/**
+ * Split flat row-major weights into rows (the saved file layout)
+ * @param {Float32Array} weights
+ * @param {number} columns - Values per row
+ * @returns {number[][]}
+ */
+function toRows(weights, columns) {
+    const rows = [];
+    for (let i = 0; i < weights.length; i += columns) {
+        rows.push(Array.from(weights.subarray(i, i + columns)));
+    }
+    return rows;
+}
+
+// ============================================================================
+// NETWORK BATCH - One forward pass for a whole population of fixed networks
+// ============================================================================
+class NetworkBatch {
+    /**
+     * Pack the weights of same-shaped networks back to back, and point each
+     * network's activations (and memory, if recurrent) into the batch's buffers:
+     * a forward pass of all of them then reads contiguous memory and allocates
+     * nothing. Weights are copied, so later changes to a network aren't seen by
+     * the batch. Recurrent networks start with a blank memory.
+     * @param {NeuralNetwork[]} networks - See fits()
+     */
+    constructor(networks) {
+        const { layers, activations, recurrent, inputCount, outputCount } = networks[0];
+        const hiddenLayers = networks[0].hiddenLayers;
+        const count = networks.length;
+        this.count = count;
+        this.layers = layers;
+        this.activations = activations;
         this.inputCount = inputCount;
-        this.hiddenCount = hiddenCount;
         this.outputCount = outputCount;
 
-        // Weights: input->hidden and hidden->output
-        this.weightsIH = this.randomMatrix(hiddenCount, inputCount);
-        this.weightsHO = this.randomMatrix(outputCount, hiddenCount);
+        this.weights = [];
+        for (let l = 1; l < layers.length; l++) {
+            this.weights.push(new Float32Array(count * layers[l] * layers[l - 1]));
+        }
+        this.biases = layers.slice(1).map(size => new Float32Array(count * size));
+        this.recurrentWeights = recurrent ? hiddenLayers.map(size => new Float32Array(count * size * size)) : [];
+        this.values = layers.map(size => new Float64Array(count * size));
+        this.state = recurrent ? hiddenLayers.map(size => new Float64Array(count * size)) : [];     // Starts blank
+
+        this.inputs = this.values[0];                           // Filled by the caller before predict()
+        this.outputs = this.values[layers.length - 1];
+        this.active = new Uint8Array(count).fill(1);            // predict() skips networks set to 0
+        this.outputViews = [];                                  // Per network: its part of this.outputs
 
-        // Biases
-        this.biasH = this.randomMatrix(hiddenCount, 1);
-        this.biasO = this.randomMatrix(outputCount, 1);
+        networks.forEach((network, n) => {
+            network.weights.forEach((weights, l) => this.weights[l].set(weights, n * weights.length));
+            network.biases.forEach((biases, l) => this.biases[l].set(biases, n * biases.length));
+            network.recurrentWeights.forEach((weights, h) => this.recurrentWeights[h].set(weights, n * weights.length));
+
+            network.lastActivations = this.values.map((values, l) =>
+                values.subarray(n * layers[l], (n + 1) * layers[l]));
+            network.state = this.state.map((values, h) =>
+                values.subarray(n * hiddenLayers[h], (n + 1) * hiddenLayers[h]));
+            this.outputViews.push(network.lastActivations[layers.length - 1]);
+        });
     }
 
     /**
-     * Create random matrix with values between -1 and 1
+     * Whether brains can share a batch: fixed networks, all of the same shape
+     * @param {Array} brains
+     * @returns {boolean}
      */
-    randomMatrix(rows, cols) {
-        const matrix = [];
-        for (let i = 0; i < rows; i++) {
-            matrix[i] = [];
-            for (let j = 0; j < cols; j++) {
-                matrix[i][j] = Math.random() * 2 - 1; // Range: -1 to 1
+    static fits(brains) {
+        if (brains.length === 0 || !(brains[0] instanceof NeuralNetwork)) return false;
+        return brains.every(brain => brains[0].hasShapeOf(brain));
+    }
+
+    /**
+     * Outputs of network n from the last predict() (a view into this.outputs)
+     * @param {number} n
+     * @returns {Float64Array}
+     */
+    getOutputs(n) {
+        return this.outputViews[n];
+    }
+
+    /**
+     * Forward pass of every active network, from this.inputs to this.outputs
+     */
+    predict() {
+        for (let n = 0; n < this.count; n++) {
+            if (this.active[n]) {
+                feedForward(this, this.values, this.state, n);
             }
         }
-        return matrix;
+    }
+}
+
+// ============================================================================
+// NEAT SETTINGS - Structural mutation and speciation parameters
+// ============================================================================
+const NEAT_DEFAULTS = {
+    addConnectionRate: 0.05,        // Chance per child to add a connection
+    addNodeRate: 0.03,              // Chance per child to split a connection
+    toggleRate: 0.01,               // Chance per child to flip a gene on/off
+    disabledInheritRate: 0.75,      // Chance a gene disabled in either parent stays disabled
+    excessCoefficient: 1.0,         // c1 in the compatibility distance
+    disjointCoefficient: 1.0,       // c2 in the compatibility distance
+    weightCoefficient: 0.4,         // c3 in the compatibility distance
+    compatibilityThreshold: 3.0,    // Max distance to join a species
+    targetSpecies: 5,               // Threshold is nudged towards this count
+    stagnationLimit: 15,            // Generations without improvement before a species dies
+    survivalThreshold: 0.5,         // Top fraction of each species allowed to breed
+    crossoverRate: 0.75             // Otherwise offspring are mutated clones
+};
+
+// ============================================================================
+// INNOVATION TRACKER - Global innovation numbers shared by all genomes
+// ============================================================================
+class InnovationTracker {
+    constructor(nextNodeId) {
+        this.nextNodeId = nextNodeId;
+        this.nextInnovation = 0;
+        this.connections = new Map();   // "from->to" -> innovation number
+        this.splits = new Map();        // innovation number -> node id that split it
+    }
+
+    /**
+     * Innovation number for a connection, so the same structural
+     * change gets the same number in every genome
+     */
+    getConnectionInnovation(from, to) {
+        const key = `${from}->${to}`;
+        if (!this.connections.has(key)) {
+            this.connections.set(key, this.nextInnovation++);
+        }
+        return this.connections.get(key);
+    }
+
+    /**
+     * Node id created when a given connection is split
+     */
+    getSplitNodeId(innovation) {
+        if (!this.splits.has(innovation)) {
+            this.splits.set(innovation, this.nextNodeId++);
+        }
+        return this.splits.get(innovation);
+    }
+
+    /**
+     * Serialize the innovation history
+     */
+    toJSON() {
+        return {
+            nextNodeId: this.nextNodeId,
+            nextInnovation: this.nextInnovation,
+            connections: [...this.connections],
+            splits: [...this.splits]
+        };
+    }
+
+    /**
+     * Restore a tracker saved with toJSON()
+     * @returns {InnovationTracker}
+     */
+    static fromJSON(data) {
+        const tracker = new InnovationTracker(data.nextNodeId);
+        tracker.nextInnovation = data.nextInnovation;
+        tracker.connections = new Map(data.connections);
+        tracker.splits = new Map(data.splits);
+        return tracker;
+    }
+
+    /**
+     * Start a new history from a single saved genome, so it can be
+     * evolved without a population's original tracker
+     * @param {Object} data - Genome JSON
+     * @returns {InnovationTracker}
+     */
+    static fromGenomeData(data) {
+        const maxNodeId = Math.max(...data.nodes.map(node => node.id));
+        const tracker = new InnovationTracker(maxNodeId + 1);
+        for (const gene of data.connections) {
+            tracker.connections.set(`${gene.from}->${gene.to}`, gene.innovation);
+            tracker.nextInnovation = Math.max(tracker.nextInnovation, gene.innovation + 1);
+        }
+        return tracker;
+    }
+}
+
+// ============================================================================
+// GENOME - Variable topology NEAT brain
+// ============================================================================
+class Genome {
+    /**
+     * Node ids are laid out as [inputs..., bias, outputs..., hidden...]
+     * @param {number} inputCount
+     * @param {number} outputCount
+     * @param {InnovationTracker} tracker - Shared by the whole population
+     * @param {Object} settings - NEAT settings (see NEAT_DEFAULTS)
+     * @param {SeededRandom} rng - Source of all randomness
+     */
+    constructor(inputCount, outputCount, tracker, settings = NEAT_DEFAULTS, rng = new SeededRandom()) {
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+        this.tracker = tracker;
+        this.settings = settings;
+        this.rng = rng;
+
+        this.nodes = [];            // { id, type: 'input' | 'bias' | 'output' | 'hidden' }
+        this.connections = [];      // { innovation, from, to, weight, enabled }, sorted by innovation
+        this.order = null;          // Cached evaluation order (null = rebuild)
+        this.mutationPower = null;  // Own step size (self-adaptive mutation); null = the population's
+
+        for (let i = 0; i < inputCount; i++) {
+            this.nodes.push({ id: i, type: 'input' });
+        }
+        this.nodes.push({ id: inputCount, type: 'bias' });
+        for (let i = 0; i < outputCount; i++) {
+            this.nodes.push({ id: inputCount + 1 + i, type: 'output' });
+        }
+    }
+
+    /**
+     * Create a minimal genome: every input and the bias wired to every output
+     */
+    static createMinimal(inputCount, outputCount, tracker, settings = NEAT_DEFAULTS, rng = new SeededRandom()) {
+        const genome = new Genome(inputCount, outputCount, tracker, settings, rng);
+        for (let i = 0; i <= inputCount; i++) {
+            for (let o = 0; o < outputCount; o++) {
+                genome.addConnection(i, inputCount + 1 + o, rng.random() * 2 - 1);
+            }
+        }
+        return genome;
     }
 
     /**
@@ -43,185 +599,623 @@ class NeuralNetwork {
     }
 
     /**
-     * Forward propagation - get output from inputs
+     * Add a connection gene, keeping genes sorted by innovation number
+     */
+    addConnection(from, to, weight, enabled = true) {
+        const innovation = this.tracker.getConnectionInnovation(from, to);
+        const gene = { innovation, from, to, weight, enabled };
+
+        let index = this.connections.length;
+        while (index > 0 && this.connections[index - 1].innovation > innovation) {
+            index--;
+        }
+        this.connections.splice(index, 0, gene);
+        this.order = null;
+        return gene;
+    }
+
+    /**
+     * Add a node gene if the genome doesn't have it yet
+     */
+    addNode(id, type = 'hidden') {
+        if (!this.nodes.some(node => node.id === id)) {
+            this.nodes.push({ id, type });
+        }
+    }
+
+    /**
+     * Forward propagation through enabled connections
      * @param {number[]} inputArray - Array of input values
      * @returns {number[]} Output values
      */
     predict(inputArray) {
-        // Convert input to matrix
-        const inputs = inputArray.map(x => [x]);
+        if (!this.order) {
+            this.order = this.buildOrder();
+        }
 
-        // Calculate hidden layer
-        const hidden = this.matrixMultiply(this.weightsIH, inputs);
-        this.matrixAdd(hidden, this.biasH);
-        this.matrixMap(hidden, this.sigmoid.bind(this));
+        const values = new Map();
+        for (let i = 0; i < this.inputCount; i++) {
+            values.set(i, inputArray[i]);
+        }
+        values.set(this.inputCount, 1);
 
-        // Calculate output layer
-        const outputs = this.matrixMultiply(this.weightsHO, hidden);
-        this.matrixAdd(outputs, this.biasO);
-        this.matrixMap(outputs, this.sigmoid.bind(this));
+        for (const { id, incoming } of this.order) {
+            let sum = 0;
+            for (const gene of incoming) {
+                sum += (values.get(gene.from) || 0) * gene.weight;
+            }
+            values.set(id, this.sigmoid(sum));
+        }
+        this.activations = values;      // For the visualizer
 
-        // Convert back to array
-        return outputs.map(row => row[0]);
+        const outputs = [];
+        for (let o = 0; o < this.outputCount; o++) {
+            outputs.push(values.get(this.inputCount + 1 + o));
+        }
+        return outputs;
     }
 
     /**
-     * Matrix multiplication
+     * Nodes with a drawing layer (longest path from the inputs) and connections
+     * @returns {Object} { nodes: [{ id, type, layer }], connections: [{ from, to, weight, enabled }], layerCount }
      */
-    matrixMultiply(a, b) {
-        const result = [];
-        for (let i = 0; i < a.length; i++) {
-            result[i] = [];
-            for (let j = 0; j < b[0].length; j++) {
-                let sum = 0;
-                for (let k = 0; k < a[0].length; k++) {
-                    sum += a[i][k] * b[k][j];
-                }
-                result[i][j] = sum;
+    getTopology() {
+        if (!this.order) {
+            this.order = this.buildOrder();
+        }
+
+        const depth = new Map();
+        for (const { id, incoming } of this.order) {
+            let layer = 1;
+            for (const gene of incoming) {
+                layer = Math.max(layer, (depth.get(gene.from) || 0) + 1);
             }
+            depth.set(id, layer);
         }
-        return result;
+
+        // Outputs share the last column
+        const outputLayer = Math.max(1, ...this.nodes
+            .filter(node => node.type === 'hidden')
+            .map(node => depth.get(node.id) + 1));
+
+        const nodes = this.nodes.map(node => ({
+            id: node.id,
+            type: node.type,
+            layer: node.type === 'output' ? outputLayer : (depth.get(node.id) || 0)
+        }));
+        const connections = this.connections.map(gene => ({
+            from: gene.from,
+            to: gene.to,
+            weight: gene.weight,
+            enabled: gene.enabled
+        }));
+
+        return { nodes, connections, layerCount: outputLayer + 1 };
+    }
+
+    /**
+     * Node values from the last predict() call, keyed by node id
+     * @returns {Map<number, number>}
+     */
+    getActivations() {
+        return this.activations || new Map();
+    }
+
+    /**
+     * Genomes are feed-forward: there is no memory to forget
+     */
+    resetState() {
     }
 
     /**
-     * Matrix addition (in-place)
+     * Topologically sort hidden and output nodes over enabled connections
+     * @returns {Object[]} Array of { id, incoming } in evaluation order
      */
-    matrixAdd(a, b) {
-        for (let i = 0; i < a.length; i++) {
-            for (let j = 0; j < a[0].length; j++) {
-                a[i][j] += b[i][j];
+    buildOrder() {
+        const incoming = new Map();
+        const pending = new Map();
+        const dependents = new Map();
+
+        for (const node of this.nodes) {
+            if (node.type === 'hidden' || node.type === 'output') {
+                incoming.set(node.id, []);
+                pending.set(node.id, 0);
+            }
+        }
+
+        for (const gene of this.connections) {
+            if (!gene.enabled || !incoming.has(gene.to)) continue;
+            incoming.get(gene.to).push(gene);
+            if (pending.has(gene.from)) {
+                pending.set(gene.to, pending.get(gene.to) + 1);
+                if (!dependents.has(gene.from)) dependents.set(gene.from, []);
+                dependents.get(gene.from).push(gene.to);
             }
         }
+
+        const ready = [...pending.keys()].filter(id => pending.get(id) === 0);
+        const order = [];
+        while (ready.length > 0) {
+            const id = ready.shift();
+            order.push({ id, incoming: incoming.get(id) });
+            for (const next of dependents.get(id) || []) {
+                pending.set(next, pending.get(next) - 1);
+                if (pending.get(next) === 0) {
+                    ready.push(next);
+                }
+            }
+        }
+        return order;
     }
 
     /**
-     * Apply function to all matrix elements (in-place)
+     * Whether `to` can already reach `from` (so from->to would close a loop)
      */
-    matrixMap(matrix, func) {
-        for (let i = 0; i < matrix.length; i++) {
-            for (let j = 0; j < matrix[0].length; j++) {
-                matrix[i][j] = func(matrix[i][j]);
+    createsCycle(from, to) {
+        if (from === to) return true;
+
+        const stack = [to];
+        const visited = new Set();
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === from) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            for (const gene of this.connections) {
+                if (gene.from === id) stack.push(gene.to);
             }
         }
+        return false;
     }
 
     /**
-     * Create a copy of this network
+     * Create a copy of this genome (shares the innovation tracker)
      */
     copy() {
-        const copy = new NeuralNetwork(this.inputCount, this.hiddenCount, this.outputCount);
-        copy.weightsIH = this.copyMatrix(this.weightsIH);
-        copy.weightsHO = this.copyMatrix(this.weightsHO);
-        copy.biasH = this.copyMatrix(this.biasH);
-        copy.biasO = this.copyMatrix(this.biasO);
+        const copy = new Genome(this.inputCount, this.outputCount, this.tracker, this.settings, this.rng);
+        copy.nodes = this.nodes.map(node => ({ ...node }));
+        copy.connections = this.connections.map(gene => ({ ...gene }));
+        copy.mutationPower = this.mutationPower;
         return copy;
     }
 
     /**
-     * Deep copy a matrix
+     * Mutate weights, then maybe add structure or toggle a gene
+     * @param {number} rate - Chance per connection weight to be perturbed (0-1)
+     * @param {number} power - Size of a perturbation (meaning depends on perturb)
+     * @param {Function} perturb - (weight, power, rng) -> mutated weight (see strategies.js)
      */
-    copyMatrix(matrix) {
-        return matrix.map(row => [...row]);
+    mutate(rate, power = 0.5, perturb = uniformNoise) {
+        for (const gene of this.connections) {
+            if (this.rng.random() < rate) {
+                gene.weight = perturb(gene.weight, power, this.rng);
+            }
+        }
+
+        if (this.rng.random() < this.settings.addConnectionRate) {
+            this.mutateAddConnection();
+        }
+        if (this.rng.random() < this.settings.addNodeRate) {
+            this.mutateAddNode();
+        }
+        if (this.rng.random() < this.settings.toggleRate) {
+            this.mutateToggleConnection();
+        }
     }
 
     /**
-     * Mutate weights and biases
-     * @param {number} rate - Mutation rate (0-1)
+     * Connect two previously unconnected nodes
      */
-    mutate(rate) {
-        this.weightsIH = this.mutateMatrix(this.weightsIH, rate);
-        this.weightsHO = this.mutateMatrix(this.weightsHO, rate);
-        this.biasH = this.mutateMatrix(this.biasH, rate);
-        this.biasO = this.mutateMatrix(this.biasO, rate);
+    mutateAddConnection() {
+        const sources = this.nodes.filter(node => node.type !== 'output');
+        const targets = this.nodes.filter(node => node.type === 'hidden' || node.type === 'output');
+        const candidates = [];
+
+        for (const source of sources) {
+            for (const target of targets) {
+                const exists = this.connections.some(gene => gene.from === source.id && gene.to === target.id);
+                if (!exists && !this.createsCycle(source.id, target.id)) {
+                    candidates.push([source.id, target.id]);
+                }
+            }
+        }
+
+        if (candidates.length === 0) return;
+        const [from, to] = candidates[Math.floor(this.rng.random() * candidates.length)];
+        this.addConnection(from, to, this.rng.random() * 2 - 1);
     }
 
     /**
-     * Mutate matrix values
+     * Split an enabled connection into two with a new hidden node between
      */
-    mutateMatrix(matrix, rate) {
-        return matrix.map(row =>
-            row.map(val => {
-                if (Math.random() < rate) {
-                    // Add random noise
-                    return val + (Math.random() * 2 - 1) * 0.5;
-                }
-                return val;
-            })
-        );
+    mutateAddNode() {
+        const enabled = this.connections.filter(gene => gene.enabled);
+        if (enabled.length === 0) return;
+
+        const gene = enabled[Math.floor(this.rng.random() * enabled.length)];
+        const nodeId = this.tracker.getSplitNodeId(gene.innovation);
+
+        // Already split this connection in an ancestor - nothing new to add
+        if (this.nodes.some(node => node.id === nodeId)) return;
+
+        gene.enabled = false;
+        this.addNode(nodeId);
+        this.addConnection(gene.from, nodeId, 1);
+        this.addConnection(nodeId, gene.to, gene.weight);
     }
 
     /**
-     * Crossover with another network (mix genes)
-     * @param {NeuralNetwork} partner 
-     * @returns {NeuralNetwork} Child network
+     * Flip a random connection gene on or off
+     */
+    mutateToggleConnection() {
+        if (this.connections.length === 0) return;
+        const gene = this.connections[Math.floor(this.rng.random() * this.connections.length)];
+        gene.enabled = !gene.enabled;
+        this.order = null;
+    }
+
+    /**
+     * Crossover aligned by innovation number. `this` must be the fitter
+     * parent: its disjoint and excess genes are inherited, the partner's are not.
+     * Weights of matching genes are mixed by the crossover strategy.
+     * @param {Genome} partner
+     * @param {Object} strategy - Entry of CROSSOVER_STRATEGIES
+     * @returns {Genome} Child genome
      */
-    crossover(partner) {
-        const child = new NeuralNetwork(this.inputCount, this.hiddenCount, this.outputCount);
+    crossover(partner, strategy = CROSSOVER_STRATEGIES.uniform) {
+        const child = new Genome(this.inputCount, this.outputCount, this.tracker, this.settings, this.rng);
+        child.nodes = this.nodes.map(node => ({ ...node }));
+        child.mutationPower = this.mutationPower;
 
-        // Mix weights from both parents
-        child.weightsIH = this.crossoverMatrix(this.weightsIH, partner.weightsIH);
-        child.weightsHO = this.crossoverMatrix(this.weightsHO, partner.weightsHO);
-        child.biasH = this.crossoverMatrix(this.biasH, partner.biasH);
-        child.biasO = this.crossoverMatrix(this.biasO, partner.biasO);
+        const partnerGenes = new Map(partner.connections.map(gene => [gene.innovation, gene]));
+        const matching = this.connections.filter(gene => partnerGenes.has(gene.innovation)).length;
+        const mix = strategy.begin(matching, this.rng);
+        let index = 0;
+
+        child.connections = this.connections.map(gene => {
+            const match = partnerGenes.get(gene.innovation);
+            const inherited = { ...gene };
+            if (!match) return inherited;
+
+            inherited.weight = mix(gene.weight, match.weight, index++);
+            if (!gene.enabled || !match.enabled) {
+                inherited.enabled = this.rng.random() >= this.settings.disabledInheritRate;
+            }
+            return inherited;
+        });
 
         return child;
     }
 
     /**
-     * Mix two matrices (random from each parent)
+     * Serialize node and connection genes (see brainFromJSON)
      */
-    crossoverMatrix(a, b) {
-        return a.map((row, i) =>
-            row.map((val, j) =>
-                Math.random() < 0.5 ? val : b[i][j]
-            )
+    toJSON() {
+        return {
+            type: 'neat',
+            version: FORMAT_VERSION,
+            inputCount: this.inputCount,
+            outputCount: this.outputCount,
+            nodes: this.nodes,
+            connections: this.connections,
+            mutationPower: this.mutationPower
+        };
+    }
+
+    /**
+     * Rebuild a genome saved with toJSON()
+     * @param {Object} data
+     * @param {InnovationTracker} tracker - Omit to start a history from this genome alone
+     * @param {Object} settings - NEAT settings
+     * @param {SeededRandom} rng
+     * @returns {Genome}
+     */
+    static fromJSON(data, tracker = null, settings = NEAT_DEFAULTS, rng = new SeededRandom()) {
+        checkFormat(data, ['neat']);
+        const genome = new Genome(
+            data.inputCount,
+            data.outputCount,
+            tracker || InnovationTracker.fromGenomeData(data),
+            settings,
+            rng
         );
+        genome.nodes = data.nodes.map(node => ({ ...node }));
+        genome.connections = data.connections.map(gene => ({ ...gene }));
+        genome.mutationPower = data.mutationPower || null;
+        return genome;
+    }
+
+    /**
+     * NEAT compatibility distance: c1*E/N + c2*D/N + c3*W
+     * @param {Genome} other
+     * @returns {number}
+     */
+    compatibility(other) {
+        const a = this.connections;
+        const b = other.connections;
+        let i = 0;
+        let j = 0;
+        let matching = 0;
+        let disjoint = 0;
+        let weightDiff = 0;
+
+        while (i < a.length && j < b.length) {
+            if (a[i].innovation === b[j].innovation) {
+                weightDiff += Math.abs(a[i].weight - b[j].weight);
+                matching++;
+                i++;
+                j++;
+            } else if (a[i].innovation < b[j].innovation) {
+                disjoint++;
+                i++;
+            } else {
+                disjoint++;
+                j++;
+            }
+        }
+        const excess = (a.length - i) + (b.length - j);
+
+        const size = Math.max(a.length, b.length);
+        const n = size < 20 ? 1 : size;
+        const avgWeightDiff = matching > 0 ? weightDiff / matching : 0;
+
+        return this.settings.excessCoefficient * excess / n +
+            this.settings.disjointCoefficient * disjoint / n +
+            this.settings.weightCoefficient * avgWeightDiff;
+    }
+}
+
+// ============================================================================
+// SPECIES - Group of topologically similar genomes
+// ============================================================================
+class Species {
+    constructor(representative) {
+        this.representative = representative;
+        this.members = [];              // { network, fitness }
+        this.bestFitness = -Infinity;
+        this.staleness = 0;             // Generations without improvement
+        this.adjustedFitness = 0;       // Sum of shared fitness of members
+    }
+
+    /**
+     * Update staleness and shared fitness after members are assigned
+     */
+    evaluate() {
+        this.members.sort((a, b) => b.fitness - a.fitness);
+
+        if (this.members[0].fitness > this.bestFitness) {
+            this.bestFitness = this.members[0].fitness;
+            this.staleness = 0;
+        } else {
+            this.staleness++;
+        }
+
+        // Fitness sharing: each member's fitness is divided by the species size
+        const total = this.members.reduce((sum, m) => sum + m.fitness, 0);
+        this.adjustedFitness = total / this.members.length;
+    }
+}
+
+// ============================================================================
+// SERIALIZATION - Versioned JSON for brains and checkpoints
+// ============================================================================
+const FORMAT_VERSION = 3;                   // 2: fixed networks of any layer stack, 3: recurrent networks
+
+/**
+ * Throw a readable error if data isn't a saved object of an expected type
+ * @param {Object} data - Parsed JSON
+ * @param {string[]} types - Accepted `type` fields
+ */
+function checkFormat(data, types) {
+    if (!data || !types.includes(data.type)) {
+        throw new Error(`Expected a saved ${types.join(' or ')} file, got ${data && data.type ? `'${data.type}'` : 'unknown data'}`);
+    }
+    if (!(data.version <= FORMAT_VERSION)) {
+        throw new Error(`Saved with format version ${data.version}, this version reads up to ${FORMAT_VERSION}`);
     }
 }
 
+/**
+ * Rebuild any saved brain (fixed network or NEAT genome)
+ * @param {Object} data - Parsed JSON from toJSON()
+ * @param {SeededRandom} rng
+ * @param {InnovationTracker} tracker - NEAT only; omit for a standalone genome
+ * @param {Object} settings - NEAT only
+ * @returns {NeuralNetwork|Genome}
+ */
+function brainFromJSON(data, rng = new SeededRandom(), tracker = null, settings = NEAT_DEFAULTS) {
+    checkFormat(data, ['fixed', 'neat']);
+    if (data.type === 'neat') {
+        return Genome.fromJSON(data, tracker, settings, rng);
+    }
+    return NeuralNetwork.fromJSON(data, rng);
+}
+
+// ============================================================================
+// POPULATION DEFAULTS - Evolution parameters (overridable per population)
+// ============================================================================
+const POPULATION_DEFAULTS = {
+    mutationRate: 0.1,              // Chance per weight to be perturbed
+    mutationPower: 0.5,             // Largest change one perturbation makes
+    elitismCount: 2,                // Best networks copied unchanged
+    tournamentSize: 3,              // Random candidates per parent selection (tournament)
+    fitness: 'survival',            // How dinos are scored (see fitness.js)
+    selection: 'tournament',        // How parents are picked (see strategies.js)
+    crossover: 'uniform',           // How two parents' weights are combined
+    mutation: 'uniform',            // How a child's weights are perturbed
+    esSigma: 0.5,                   // Evolution strategies: noise around the mean weights
+    esLearningRate: 0.05            // Evolution strategies: step size of the mean
+};
+
+// Everything Population.configure() accepts
+const POPULATION_SETTINGS = ['size', 'hiddenLayers', 'hiddenActivations', 'outputActivation', 'brainType', 'optimizer',
+    ...Object.keys(POPULATION_DEFAULTS)];
+
 // ============================================================================
 // POPULATION - Manages evolution of neural networks
 // ============================================================================
 class Population {
-    constructor(size, inputCount, hiddenCount, outputCount) {
+    /**
+     * @param {number} size
+     * @param {number} inputCount
+     * @param {number|number[]} hiddenLayers - Neurons per hidden layer (fixed networks only; NEAT starts minimal)
+     * @param {number} outputCount
+     * @param {Object} options - { brainType: 'fixed' | 'recurrent' | 'neat', hiddenActivations (one per hidden layer,
+     *                            or one for all), outputActivation (keys of ACTIVATIONS), optimizer: 'ga' (genetic algorithm) | 'es' (evolution strategies,
+     *                            not for NEAT), neat: NEAT settings overrides, rng: SeededRandom },
+     *                            plus any of POPULATION_DEFAULTS
+     */
+    constructor(size, inputCount, hiddenLayers, outputCount, options = {}) {
         this.size = size;
         this.inputCount = inputCount;
-        this.hiddenCount = hiddenCount;
+        this.hiddenLayers = [].concat(hiddenLayers);
         this.outputCount = outputCount;
+        this.hiddenActivations = ['sigmoid'];
+        this.outputActivation = 'sigmoid';
+        this.brainType = options.brainType || 'fixed';
+        this.optimizer = 'ga';
+        this.neatSettings = { ...NEAT_DEFAULTS, ...options.neat };
+        this.rng = options.rng || new SeededRandom();
 
         this.generation = 1;
         this.networks = [];
         this.bestFitness = 0;
         this.bestNetwork = null;
         this.avgFitness = 0;
+        this.history = [];              // One summary per finished generation (see recordHistory)
+
+        // NEAT state
+        this.tracker = null;
+        this.species = [];
+        this.compatibilityThreshold = this.neatSettings.compatibilityThreshold;
+
+        // Evolution strategies state: the search around the mean weights (optimizer 'es')
+        this.strategy = null;
 
         // Evolution parameters
-        this.mutationRate = 0.1;        // 10% chance per weight
-        this.elitismCount = 2;          // Keep top 2 unchanged
+        this.mutationRate = POPULATION_DEFAULTS.mutationRate;
+        this.mutationPower = POPULATION_DEFAULTS.mutationPower;
+        this.elitismCount = POPULATION_DEFAULTS.elitismCount;
+        this.tournamentSize = POPULATION_DEFAULTS.tournamentSize;
+        this.fitness = POPULATION_DEFAULTS.fitness;
+        this.fitnessMemory = {};        // Kept by the fitness function across generations (e.g. novelty archive)
+        this.selection = POPULATION_DEFAULTS.selection;
+        this.crossover = POPULATION_DEFAULTS.crossover;
+        this.mutation = POPULATION_DEFAULTS.mutation;
+        this.esSigma = POPULATION_DEFAULTS.esSigma;
+        this.esLearningRate = POPULATION_DEFAULTS.esLearningRate;
+        this.mutationScale = 1;         // Step size multiplier of adaptive mutation
+        this.configure(options);
 
         // Initialize population
         this.initialize();
     }
 
+    /**
+     * Change parameters (any of POPULATION_SETTINGS); takes effect from the next
+     * generation, or from reset() for size, brain type, optimizer and the fixed networks' shape
+     * @param {Object} settings
+     */
+    configure(settings) {
+        for (const key of POPULATION_SETTINGS) {
+            if (settings[key] !== undefined) {
+                this[key] = settings[key];
+            }
+        }
+    }
+
+    /**
+     * Current parameters, in the form configure() accepts
+     * @returns {Object}
+     */
+    getConfig() {
+        const config = {};
+        for (const key of POPULATION_SETTINGS) {
+            config[key] = this[key];
+        }
+        return config;
+    }
+
     /**
      * Create initial random population
+     * @throws {Error} If evolution strategies are asked to evolve NEAT genomes
      */
     initialize() {
         this.networks = [];
+        this.species = [];
+        this.compatibilityThreshold = this.neatSettings.compatibilityThreshold;
+        this.tracker = new InnovationTracker(this.inputCount + 1 + this.outputCount);
+        this.strategy = null;
+
+        if (this.optimizer === 'es') {
+            if (this.brainType === 'neat') {
+                throw new Error('Evolution strategies need fixed or recurrent brains, not NEAT');
+            }
+            // One random brain is the starting point; the rest are sampled around it
+            const start = this.createBrain();
+            this.strategy = new EvolutionStrategy(start.getWeights());
+            this.networks = this.sampleStrategy(start);
+            return;
+        }
+
         for (let i = 0; i < this.size; i++) {
-            this.networks.push(new NeuralNetwork(
-                this.inputCount,
-                this.hiddenCount,
-                this.outputCount
-            ));
+            this.networks.push(this.createBrain());
         }
     }
 
+    /**
+     * Create a fresh random brain of the configured type
+     * @returns {NeuralNetwork|Genome}
+     */
+    createBrain() {
+        if (this.brainType === 'neat') {
+            return Genome.createMinimal(this.inputCount, this.outputCount, this.tracker, this.neatSettings, this.rng);
+        }
+        return new NeuralNetwork(this.inputCount, this.hiddenLayers, this.outputCount, this.rng, this.getActivations(),
+            this.brainType === 'recurrent');
+    }
+
+    /**
+     * Activation of each layer of the fixed networks after the inputs
+     * (a single hidden activation applies to every hidden layer)
+     * @returns {string[]}
+     */
+    getActivations() {
+        const hidden = this.hiddenActivations.length === 1
+            ? this.hiddenLayers.map(() => this.hiddenActivations[0])
+            : this.hiddenActivations;
+        return [...hidden, this.outputActivation];
+    }
+
+    /**
+     * Evolution strategies: the next generation's brains, sampled around the mean
+     * (the first one is the mean itself)
+     * @param {NeuralNetwork} template - Any brain of the population's shape
+     * @returns {NeuralNetwork[]}
+     */
+    sampleStrategy(template) {
+        return this.strategy.sample(this.size, this.esSigma, this.rng).map(weights => {
+            const network = template.copy();
+            network.setWeights(weights);
+            return network;
+        });
+    }
+
+    /**
+     * Score the dinos of one finished track with the configured fitness function
+     * @param {Dino[]} dinos - One per network, in network order
+     * @returns {number[]} Fitness score for each network
+     */
+    evaluate(dinos) {
+        return evaluateFitness(this.fitness, dinos, this.fitnessMemory);
+    }
+
     /**
      * Evolve to next generation based on fitness
-     * @param {number[]} fitnessScores - Fitness score for each network
+     * @param {number[]} fitnessScores - Fitness score for each network (see evaluate())
+     * @param {Object} details - Extra per-generation stats for the history (e.g. survivors, gameSpeed)
      */
-    evolve(fitnessScores) {
+    evolve(fitnessScores, details = {}) {
         // Sort networks by fitness (best first)
         const indexed = this.networks.map((network, i) => ({
             network,
@@ -234,6 +1228,20 @@ class Population {
         this.bestFitness = indexed[0].fitness;
         this.bestNetwork = indexed[0].network.copy();
         this.avgFitness = fitnessScores.reduce((a, b) => a + b, 0) / fitnessScores.length;
+        this.recordHistory(fitnessScores, details);
+
+        if (this.strategy) {
+            // Evolution strategies: step the mean, then sample around it again
+            this.strategy.update(fitnessScores, this.esLearningRate);
+            this.networks = this.sampleStrategy(this.networks[0]);
+            this.generation++;
+            return;
+        }
+
+        const mutation = MUTATION_STRATEGIES[this.mutation];
+        if (mutation.adapt) {
+            mutation.adapt(this);
+        }
 
         // Create next generation
         const newNetworks = [];
@@ -243,19 +1251,23 @@ class Population {
             newNetworks.push(indexed[i].network.copy());
         }
 
-        // Fill rest with offspring
-        while (newNetworks.length < this.size) {
-            // Select parents (weighted by fitness)
-            const parent1 = this.selectParent(indexed);
-            const parent2 = this.selectParent(indexed);
+        if (this.brainType === 'neat') {
+            this.reproduceSpecies(indexed, newNetworks);
+        } else {
+            // Fill rest with offspring
+            while (newNetworks.length < this.size) {
+                // Select parents (weighted by fitness)
+                const parent1 = this.selectParent(indexed);
+                const parent2 = this.selectParent(indexed);
 
-            // Crossover
-            let child = parent1.crossover(parent2);
+                // Crossover
+                let child = parent1.crossover(parent2, CROSSOVER_STRATEGIES[this.crossover]);
 
-            // Mutate
-            child.mutate(this.mutationRate);
+                // Mutate
+                this.mutateChild(child);
 
-            newNetworks.push(child);
+                newNetworks.push(child);
+            }
         }
 
         this.networks = newNetworks;
@@ -263,25 +1275,134 @@ class Population {
     }
 
     /**
-     * Select a parent using tournament selection
+     * Append the finished generation's fitness distribution to this.history
+     * @param {number[]} fitnessScores
+     * @param {Object} details - Merged into the entry as-is
+     */
+    recordHistory(fitnessScores, details) {
+        const sorted = [...fitnessScores].sort((a, b) => a - b);
+        const count = sorted.length;
+        const mid = Math.floor(count / 2);
+        const variance = sorted.reduce((sum, f) => sum + (f - this.avgFitness) ** 2, 0) / count;
+
+        this.history.push({
+            generation: this.generation,
+            best: sorted[count - 1],
+            mean: this.avgFitness,
+            median: count % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+            worst: sorted[0],
+            std: Math.sqrt(variance),
+            ...details
+        });
+    }
+
+    /**
+     * NEAT reproduction: speciate, share fitness within species and
+     * give each species offspring in proportion to its shared fitness
      * @param {Object[]} indexed - Sorted array of {network, fitness}
-     * @returns {NeuralNetwork}
+     * @param {Array} newNetworks - Next generation, filled in place
      */
-    selectParent(indexed) {
-        // Tournament selection: pick best of 3 random candidates
-        const tournamentSize = 3;
-        let best = null;
-        let bestFitness = -Infinity;
-
-        for (let i = 0; i < tournamentSize; i++) {
-            const candidate = indexed[Math.floor(Math.random() * indexed.length)];
-            if (candidate.fitness > bestFitness) {
-                best = candidate.network;
-                bestFitness = candidate.fitness;
+    reproduceSpecies(indexed, newNetworks) {
+        this.speciate(indexed);
+
+        // Drop stagnant species, but never the one holding the best genome
+        this.species = this.species.filter(s =>
+            s.staleness < this.neatSettings.stagnationLimit || s.members.includes(indexed[0])
+        );
+
+        const slots = this.size - newNetworks.length;
+        const totalAdjusted = this.species.reduce((sum, s) => sum + s.adjustedFitness, 0);
+
+        // Offspring per species, largest remainders get the leftover slots
+        const shares = this.species.map(s => totalAdjusted > 0
+            ? s.adjustedFitness / totalAdjusted * slots
+            : slots / this.species.length);
+        const counts = shares.map(Math.floor);
+        const remaining = slots - counts.reduce((a, b) => a + b, 0);
+        shares
+            .map((share, i) => ({ i, fraction: share - Math.floor(share) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .slice(0, remaining)
+            .forEach(({ i }) => counts[i]++);
+
+        this.species.forEach((species, s) => {
+            const cutoff = Math.max(1, Math.ceil(species.members.length * this.neatSettings.survivalThreshold));
+            const parents = species.members.slice(0, cutoff);
+
+            for (let n = 0; n < counts[s]; n++) {
+                const parent1 = this.selectParent(parents);
+                let child;
+
+                if (parents.length > 1 && this.rng.random() < this.neatSettings.crossoverRate) {
+                    const parent2 = this.selectParent(parents);
+                    child = this.crossoverByFitness(parents, parent1, parent2);
+                } else {
+                    child = parent1.copy();
+                }
+
+                this.mutateChild(child);
+                newNetworks.push(child);
+            }
+
+            // Next generation is compared against a random member of this one
+            species.representative = species.members[Math.floor(this.rng.random() * species.members.length)].network;
+        });
+    }
+
+    /**
+     * Assign every genome to the first species it is compatible with
+     * @param {Object[]} indexed - Sorted array of {network, fitness}
+     */
+    speciate(indexed) {
+        this.species.forEach(s => { s.members = []; });
+
+        for (const entry of indexed) {
+            let home = this.species.find(s =>
+                entry.network.compatibility(s.representative) < this.compatibilityThreshold
+            );
+            if (!home) {
+                home = new Species(entry.network);
+                this.species.push(home);
             }
+            home.members.push(entry);
+        }
+
+        this.species = this.species.filter(s => s.members.length > 0);
+        this.species.forEach(s => s.evaluate());
+
+        // Nudge the threshold so the species count hovers around the target
+        if (this.species.length < this.neatSettings.targetSpecies) {
+            this.compatibilityThreshold = Math.max(0.3, this.compatibilityThreshold - 0.3);
+        } else if (this.species.length > this.neatSettings.targetSpecies) {
+            this.compatibilityThreshold += 0.3;
         }
+    }
+
+    /**
+     * NEAT crossover inherits structure from the fitter parent, so call it on that one
+     */
+    crossoverByFitness(members, network1, network2) {
+        const fitness1 = members.find(m => m.network === network1).fitness;
+        const fitness2 = members.find(m => m.network === network2).fitness;
+        const strategy = CROSSOVER_STRATEGIES[this.crossover];
+        return fitness1 >= fitness2 ? network1.crossover(network2, strategy) : network2.crossover(network1, strategy);
+    }
+
+    /**
+     * Select a parent with the configured selection strategy
+     * @param {Object[]} indexed - Sorted array of {network, fitness}
+     * @returns {NeuralNetwork|Genome}
+     */
+    selectParent(indexed) {
+        return SELECTION_STRATEGIES[this.selection].select(indexed, this);
+    }
 
-        return best;
+    /**
+     * Mutate a new child with the configured mutation strategy
+     * @param {NeuralNetwork|Genome} child
+     */
+    mutateChild(child) {
+        MUTATION_STRATEGIES[this.mutation].mutate(child, this);
     }
 
     /**
@@ -298,6 +1419,175 @@ class Population {
         return this.networks;
     }
 
+    /**
+     * Restart evolution from one saved brain: an exact copy plus mutated copies
+     * (evolution strategies: a search starting from the brain's weights).
+     * The population takes on the brain's type and shape.
+     * @param {Object} data - Brain JSON
+     */
+    populateFrom(data) {
+        checkFormat(data, ['fixed', 'neat']);
+        if (data.inputCount !== this.inputCount || data.outputCount !== this.outputCount) {
+            throw new Error(`Brain has ${data.inputCount} inputs and ${data.outputCount} outputs, ` +
+                `this population needs ${this.inputCount} and ${this.outputCount}`);
+        }
+        if (data.type === 'neat' && this.strategy) {
+            throw new Error('Evolution strategies need fixed or recurrent brains - switch the optimizer to load a NEAT genome');
+        }
+
+        this.brainType = data.type === 'fixed' && data.recurrent ? 'recurrent' : data.type;
+        if (data.type === 'fixed') {
+            const { hiddenLayers, activations } = NeuralNetwork.fromJSON(data);
+            this.hiddenLayers = hiddenLayers;
+            this.hiddenActivations = activations.slice(0, -1);
+            this.outputActivation = activations[activations.length - 1];
+        }
+
+        this.reset();
+        if (data.type === 'neat') {
+            this.tracker = InnovationTracker.fromGenomeData(data);
+        }
+
+        const brain = brainFromJSON(data, this.rng, this.tracker, this.neatSettings);
+        if (this.strategy) {
+            this.strategy.moveTo(brain.getWeights());
+            this.networks = this.sampleStrategy(brain);
+            return;
+        }
+        this.networks = [brain];
+        while (this.networks.length < this.size) {
+            const child = brain.copy();
+            this.mutateChild(child);
+            this.networks.push(child);
+        }
+    }
+
+    /**
+     * Put one saved brain into the running population, in place of its last
+     * network (never an elite). Unlike populateFrom() the rest is kept, so the
+     * brain must be of the same kind: a NEAT genome must come from this
+     * population's innovation history. With evolution strategies the search
+     * moves to the brain's weights instead (keeping settings and history).
+     * @param {Object} data - Brain JSON
+     */
+    inject(data) {
+        checkFormat(data, ['fixed', 'neat']);
+        const current = this.networks[0];
+        const fits = data.type === 'fixed'
+            ? NeuralNetwork.fromJSON(data).hasShapeOf(current)
+            : current instanceof Genome && data.inputCount === current.inputCount && data.outputCount === current.outputCount;
+        if (!fits) {
+            throw new Error('Brain doesn\'t fit this population (different type or shape) - import it instead to restart from it');
+        }
+        if (data.type === 'neat') {
+            const known = data.connections.every(gene =>
+                this.tracker.connections.get(`${gene.from}->${gene.to}`) === gene.innovation);
+            if (!known || data.nodes.some(node => node.id >= this.tracker.nextNodeId)) {
+                throw new Error('Genome comes from another run\'s innovation history - import it instead to restart from it');
+            }
+        }
+
+        const brain = brainFromJSON(data, this.rng, this.tracker, this.neatSettings);
+        if (this.strategy) {
+            this.strategy.moveTo(brain.getWeights());
+            this.networks = this.sampleStrategy(brain);
+            return;
+        }
+        this.networks[this.networks.length - 1] = brain;
+    }
+
+    /**
+     * Checkpoint: generation, parameters, every network, stats and RNG position
+     */
+    toJSON() {
+        return {
+            type: 'population',
+            version: FORMAT_VERSION,
+            generation: this.generation,
+            size: this.size,
+            inputCount: this.inputCount,
+            hiddenLayers: this.hiddenLayers,
+            outputCount: this.outputCount,
+            hiddenActivations: this.hiddenActivations,
+            outputActivation: this.outputActivation,
+            brainType: this.brainType,
+            optimizer: this.optimizer,
+            parameters: {
+                mutationRate: this.mutationRate,
+                mutationPower: this.mutationPower,
+                elitismCount: this.elitismCount,
+                tournamentSize: this.tournamentSize,
+                fitness: this.fitness,
+                selection: this.selection,
+                crossover: this.crossover,
+                mutation: this.mutation,
+                esSigma: this.esSigma,
+                esLearningRate: this.esLearningRate,
+                neat: this.neatSettings
+            },
+            mutationScale: this.mutationScale,
+            fitnessMemory: this.fitnessMemory,
+            stats: {
+                bestFitness: this.bestFitness,
+                avgFitness: this.avgFitness
+            },
+            networks: this.networks.map(network => network.toJSON()),
+            bestNetwork: this.bestNetwork ? this.bestNetwork.toJSON() : null,
+            tracker: this.tracker.toJSON(),
+            compatibilityThreshold: this.compatibilityThreshold,
+            species: this.species.map(s => ({
+                representative: s.representative.toJSON(),
+                bestFitness: s.bestFitness,
+                staleness: s.staleness
+            })),
+            strategy: this.strategy ? this.strategy.toJSON() : null,
+            history: this.history,
+            rng: this.rng.toJSON()
+        };
+    }
+
+    /**
+     * Restore a population saved with toJSON()
+     * @param {Object} data
+     * @returns {Population}
+     */
+    static fromJSON(data) {
+        checkFormat(data, ['population']);
+
+        // Version 1 files: one sigmoid hidden layer of hiddenCount neurons
+        const population = new Population(data.size, data.inputCount, data.hiddenLayers || data.hiddenCount, data.outputCount, {
+            brainType: data.brainType,
+            optimizer: data.optimizer,              // Absent before evolution strategies: 'ga'
+            // Saved before per-layer activations: one for every hidden layer
+            hiddenActivations: data.hiddenActivations || (data.hiddenActivation && [data.hiddenActivation]),
+            outputActivation: data.outputActivation,
+            neat: data.parameters.neat
+        });
+        population.configure(data.parameters);      // Files without newer parameters keep the defaults
+        population.generation = data.generation;
+        population.bestFitness = data.stats.bestFitness;
+        population.avgFitness = data.stats.avgFitness;
+        population.history = data.history || [];    // Absent in early version 1 files
+        population.fitnessMemory = data.fitnessMemory || {};
+        population.mutationScale = data.mutationScale || 1;
+        population.rng = SeededRandom.fromJSON(data.rng);
+        population.tracker = InnovationTracker.fromJSON(data.tracker);
+        population.compatibilityThreshold = data.compatibilityThreshold;
+        population.strategy = data.strategy ? EvolutionStrategy.fromJSON(data.strategy) : null;
+
+        const load = brain => brainFromJSON(brain, population.rng, population.tracker, population.neatSettings);
+        population.networks = data.networks.map(load);
+        population.bestNetwork = data.bestNetwork ? load(data.bestNetwork) : null;
+        population.species = data.species.map(saved => {
+            const species = new Species(load(saved.representative));
+            species.bestFitness = saved.bestFitness;
+            species.staleness = saved.staleness;
+            return species;
+        });
+
+        return population;
+    }
+
     /**
      * Reset to generation 1
      */
@@ -306,6 +1596,17 @@ class Population {
         this.bestFitness = 0;
         this.bestNetwork = null;
         this.avgFitness = 0;
+        this.history = [];
+        this.fitnessMemory = {};
+        this.mutationScale = 1;
         this.initialize();
     }
 }
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACTIVATIONS, registerActivation, NeuralNetwork, NetworkBatch, NEAT_DEFAULTS, InnovationTracker, Genome, Species,
+        FORMAT_VERSION, checkFormat, brainFromJSON, POPULATION_DEFAULTS, POPULATION_SETTINGS, Population
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * RACE.JS - Human vs AI race
+ * A keyboard/touch controlled dino runs alongside an AI dino on the same
+ * obstacle course. The race has its own Game, so training is left untouched.
+ * What the player's dino sensed and did is recorded, for brains to learn from
+ * (see imitation.js)
+ */
+
+// ============================================================================
+// RACE - One human dino against one AI brain
+// ============================================================================
+class Race extends EventEmitter {
+    /**
+     * @param {NeuralNetwork|Genome|null} aiBrain - Opponent (null = solo play)
+     * @param {Object} options - Game options ({ width, height, rng })
+     */
+    constructor(aiBrain = null, options = {}) {
+        super();
+        this.game = new Game(options);
+        this.aiBrain = aiBrain;
+
+        this.human = null;
+        this.ai = null;
+        this.isFinished = false;
+        this.jumpPressed = false;           // Player pressed jump since the last tick
+        this.duckHeld = false;              // Player is holding the duck control
+        this.demonstration = null;          // The player's frames: { inputLabels, frames: [{ inputs, outputs }] }
+        this.action = null;                 // What the player does this tick, as a brain's outputs
+
+        // Record what a brain would see when deciding: after the world moved, before the dinos do
+        this.game.on('update', () => {
+            if (this.human.isAlive) {
+                this.demonstration.frames.push({ inputs: this.game.getInputs(this.human), outputs: this.action });
+            }
+        });
+    }
+
+    /**
+     * Put both dinos on a fresh course
+     */
+    start() {
+        this.human = new Dino();             // No brain: driven by the player
+        this.ai = this.aiBrain ? new Dino(this.aiBrain) : null;
+        this.isFinished = false;
+        this.jumpPressed = false;
+        this.duckHeld = false;
+
+        this.game.reset(this.ai ? [this.human, this.ai] : [this.human]);
+        this.demonstration = { inputLabels: this.game.getInputLabels(), frames: [] };
+        this.emit('start', this);
+    }
+
+    /**
+     * Advance one tick; finishes once the winner can no longer change
+     */
+    step() {
+        if (this.isFinished) return;
+
+        // Recorded with the inputs of this tick once the game has moved the world
+        this.action = [this.jumpPressed ? 1 : 0, this.duckHeld ? 1 : 0];
+
+        // Held duck applies whenever the dino is on the ground (e.g. straight after landing)
+        if (this.jumpPressed) {
+            this.human.jump();
+            this.jumpPressed = false;
+        }
+        this.human.duck(this.duckHeld);
+        this.game.step();
+
+        // Over when the human is out and the AI is either out too or already ahead
+        const aiDone = !this.ai || !this.ai.isAlive || this.ai.score > this.human.score;
+        if (!this.human.isAlive && aiDone) {
+            this.isFinished = true;
+            this.emit('finish', this.getWinner(), this);
+        }
+    }
+
+    /**
+     * Player input: jump on the next tick (ignored while the human dino is dead)
+     */
+    jump() {
+        if (this.human) {
+            this.jumpPressed = true;
+        }
+    }
+
+    /**
+     * Player input: press (true) or release (false) duck
+     * @param {boolean} active
+     */
+    duck(active) {
+        this.duckHeld = active;
+    }
+
+    /**
+     * Who is ahead right now
+     * @returns {string} 'human', 'ai' or 'tie'
+     */
+    getWinner() {
+        if (!this.ai || this.human.score > this.ai.score) return 'human';
+        if (this.ai.score > this.human.score) return 'ai';
+        return 'tie';
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Race };
+}
@@ -0,0 +1,79 @@
+/**
+ * RANDOM.JS - Seedable pseudo-random number generator
+ * Every random decision in a run (obstacles, weights, mutation, selection)
+ * draws from one SeededRandom, so the same seed replays the same run
+ */
+
+// ============================================================================
+// SEEDED RANDOM - mulberry32 generator
+// ============================================================================
+class SeededRandom {
+    /**
+     * @param {number} seed - Unsigned 32-bit integer (random if omitted)
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Pick a fresh seed for an unseeded run
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Next value, uniform in [0, 1) - drop-in for Math.random()
+     * @returns {number}
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Normally distributed value (mean 0, standard deviation 1), by Box-Muller
+     * @returns {number}
+     */
+    gaussian() {
+        const u = 1 - this.random();        // (0, 1]: keeps log() finite
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Draw a seed for a separate generator (e.g. one obstacle track)
+     * @returns {number}
+     */
+    nextSeed() {
+        return Math.floor(this.random() * 4294967296);
+    }
+
+    /**
+     * Save the generator position, so a resumed run continues identically
+     */
+    toJSON() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restore a generator saved with toJSON()
+     * @param {Object} data - { seed, state }
+     * @returns {SeededRandom}
+     */
+    static fromJSON(data) {
+        const rng = new SeededRandom(data.seed);
+        rng.state = data.state >>> 0;
+        return rng;
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
@@ -0,0 +1,218 @@
+/**
+ * RENDERER.JS - Canvas rendering
+ * Draws a Game onto a canvas. Subscribes to the game's events, so the
+ * simulation itself never touches the DOM
+ */
+
+// ============================================================================
+// GAME RENDERER - Draws obstacles, dinos and HUD
+// ============================================================================
+class GameRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Game} game
+     */
+    constructor(canvas, game) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.game = null;
+        this.groundY = canvas.height - 50;     // Ground line Y position
+        this.lift = 10;                         // Dinos and birds float this far above the ground line
+
+        this.highlightBest = true;
+        this.enabled = true;                    // Set false to skip drawing entirely
+        this.showPlayers = true;                // Brainless dinos are players (false for replays, where they replay AIs)
+        this.deaths = [];                       // Deaths to mark: { box, obstacle } (see ReplayPlayer)
+        this.frameRequested = false;
+
+        // Colors
+        this.colors = {
+            background: '#1a1f3a',
+            ground: '#475569',
+            dino: '#64748b',                    // Default gray
+            best: '#10b981',                    // Green highlight
+            human: '#3b82f6',                   // Player-controlled (no brain)
+            obstacle: '#ef4444',                // Red obstacle
+            bird: '#f59e0b',                    // Amber flying obstacle
+            death: '#f8fafc',                   // Outline of a death and what caused it
+            text: '#64748b'
+        };
+
+        // Redraw whenever the simulation changes (at most once per animation frame)
+        this.onChange = () => this.requestDraw();
+        this.attach(game);
+    }
+
+    /**
+     * Follow a different game (e.g. a race instead of training)
+     * @param {Game} game
+     */
+    attach(game) {
+        if (this.game) {
+            this.game.off('step', this.onChange);
+            this.game.off('reset', this.onChange);
+        }
+        this.game = game;
+        game.on('step', this.onChange);
+        game.on('reset', this.onChange);
+        this.requestDraw();
+    }
+
+    /**
+     * Schedule a draw on the next animation frame; many ticks per frame draw once
+     */
+    requestDraw() {
+        if (!this.enabled || this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * Draw game elements (no-op while disabled)
+     */
+    draw() {
+        if (!this.enabled) return;
+
+        const ctx = this.ctx;
+        const game = this.game;
+
+        // Clear canvas
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Draw ground line
+        ctx.strokeStyle = this.colors.ground;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, this.groundY);
+        ctx.lineTo(this.canvas.width, this.groundY);
+        ctx.stroke();
+
+        // Draw obstacles
+        game.obstacles.forEach(obstacle => this.drawObstacle(obstacle));
+
+        // Draw dinos (non-best first, then best on top)
+        const bestDino = this.highlightBest ? game.bestDino : null;
+        const isPlayer = dino => !dino.brain && this.showPlayers;
+        game.dinos.forEach(dino => {
+            if (dino !== bestDino) {
+                this.drawDino(dino, isPlayer(dino) ? this.colors.human : this.colors.dino);
+            }
+        });
+
+        // Draw best dino on top (highlighted)
+        if (bestDino && bestDino.isAlive) {
+            this.drawDino(bestDino, isPlayer(bestDino) ? this.colors.human : this.colors.best);
+
+            // Draw crown above best dino
+            ctx.font = '20px Arial';
+            ctx.fillText('👑', bestDino.x + 5, this.groundY - bestDino.height - bestDino.y - 15);
+        }
+
+        this.deaths.forEach(death => this.drawDeath(death));
+
+        // Draw speed indicator
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '14px Inter';
+        ctx.fillText(`Speed: ${game.gameSpeed.toFixed(1)}x`, this.canvas.width - 100, 30);
+    }
+
+    /**
+     * Replace the scene with a centered message (e.g. while rendering is paused)
+     * @param {string} text
+     */
+    drawMessage(text) {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '20px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, this.canvas.width / 2, this.canvas.height / 2);
+        ctx.textAlign = 'start';
+    }
+
+    /**
+     * Render a dino
+     * @param {Dino} dino
+     * @param {string} color
+     */
+    drawDino(dino, color) {
+        if (!dino.isAlive) return;
+
+        const top = this.groundY - dino.height - dino.y - this.lift;
+
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(dino.x, top, dino.width, dino.height);
+
+        // Draw eye
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(dino.x + dino.width - 10, top + 8, 5, 5);
+    }
+
+    /**
+     * Outline where a dino died and the obstacle it hit, as they were on that frame
+     * @param {Object} death - { box: { x, y, width, height } of the dino, obstacle }
+     */
+    drawDeath(death) {
+        const ctx = this.ctx;
+        const { box, obstacle } = death;
+        const dinoTop = this.groundY - box.height - box.y - this.lift;
+        const obstacleTop = obstacle.kind === 'bird'
+            ? this.groundY - obstacle.altitude - obstacle.height - this.lift
+            : this.groundY - obstacle.height;
+
+        ctx.strokeStyle = this.colors.death;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(box.x, dinoTop, box.width, box.height);
+        ctx.strokeRect(obstacle.x, obstacleTop, obstacle.width, obstacle.height);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.colors.death;
+        ctx.font = '16px Arial';
+        ctx.fillText('✖', box.x + box.width / 2 - 6, dinoTop - 6);
+    }
+
+    /**
+     * Render an obstacle
+     * @param {Obstacle} obstacle
+     */
+    drawObstacle(obstacle) {
+        if (obstacle.kind === 'bird') {
+            this.drawBird(obstacle);
+            return;
+        }
+
+        this.ctx.fillStyle = this.colors.obstacle;
+        this.ctx.fillRect(
+            obstacle.x,
+            this.groundY - obstacle.height,
+            obstacle.width,
+            obstacle.height
+        );
+    }
+
+    /**
+     * Render a bird: body plus a wing that flaps every few frames
+     * @param {Obstacle} obstacle
+     */
+    drawBird(obstacle) {
+        const ctx = this.ctx;
+        const top = this.groundY - obstacle.altitude - obstacle.height - this.lift;
+        const wingUp = Math.floor(this.game.frameCount / 10) % 2 === 0;
+
+        ctx.fillStyle = this.colors.bird;
+        ctx.fillRect(obstacle.x, top + obstacle.height / 3, obstacle.width, obstacle.height / 3);
+        ctx.fillRect(
+            obstacle.x + obstacle.width / 3,
+            wingUp ? top : top + obstacle.height * 2 / 3,
+            obstacle.width / 3,
+            obstacle.height / 3
+        );
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * REPLAY.JS - Recordings of training tracks, and their playback
+ * A recording keeps just enough of one track to play it back exactly: the
+ * track's seed and settings, the obstacles as they spawned, and the frames on
+ * which each dino jumped or started/stopped ducking. The game is deterministic,
+ * so ReplayPlayer re-runs the track with those inputs and every frame comes out
+ * as it was, including each death and the obstacle that caused it.
+ *
+ * Recording format (plain JSON):
+ *   { type: 'replay', version, generation, track, seed, level, width, height, game,
+ *     frames,                               last frame played
+ *     spawns: [[frame, kind, x, width, height, altitude]],
+ *     dinos:  [{ jumps: [frame], ducks: [frame],    ducks = frames the ducking state flipped
+ *                death: [frame, spawn, y] | null }] spawn = index into spawns, y = height in the air
+ * Recordings made outside training (e.g. of hall of fame champions) add a title.
+ */
+
+// ============================================================================
+// REPLAY RECORDER - Follows a Game while a track is being played
+// ============================================================================
+class ReplayRecorder {
+    /**
+     * @param {Game} game
+     */
+    constructor(game) {
+        this.game = game;
+        this.recording = null;              // Track being recorded, if any
+        this.dinos = [];
+        this.state = [];                    // Per dino: { jumps, isDucking } as last recorded
+        this.dinoIndex = new Map();         // Dino -> index in this.dinos
+        this.spawnIndex = new Map();        // Obstacle -> index in recording.spawns
+
+        game.on('spawn', obstacle => this.recording && this.recordSpawn(obstacle));
+        game.on('step', () => this.recording && this.recordStep());
+        game.on('death', (dino, obstacle) => this.recording && this.recordDeath(dino, obstacle));
+    }
+
+    /**
+     * Record a new track; call before the game is reset onto it
+     * @param {Dino[]} dinos - Dinos about to play it
+     * @param {Object} track - { seed }
+     * @param {Object} label - { generation, track } to tell recordings apart
+     */
+    start(dinos, track, label) {
+        const game = this.game;
+        this.recording = {
+            type: 'replay',
+            version: FORMAT_VERSION,
+            generation: label.generation,
+            track: label.track,
+            seed: track.seed,
+            level: game.curriculum.level,
+            width: game.width,
+            height: game.height,
+            game: game.getConfig(),
+            frames: 0,
+            spawns: [],
+            dinos: dinos.map(() => ({ jumps: [], ducks: [], death: null }))
+        };
+        this.dinos = dinos;
+        this.state = dinos.map(dino => ({ jumps: dino.jumps, isDucking: dino.isDucking }));
+        this.dinoIndex = new Map(dinos.map((dino, i) => [dino, i]));
+        this.spawnIndex = new Map();
+    }
+
+    /**
+     * @returns {boolean} True while a track is being recorded
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object} The finished recording
+     */
+    finish() {
+        const recording = this.recording;
+        this.cancel();
+        return recording;
+    }
+
+    /**
+     * Stop recording and drop what was recorded
+     */
+    cancel() {
+        this.recording = null;
+        this.dinos = [];
+        this.state = [];
+        this.dinoIndex = new Map();
+        this.spawnIndex = new Map();
+    }
+
+    recordSpawn(obstacle) {
+        const { kind, x, width, height, altitude } = obstacle;
+        this.spawnIndex.set(obstacle, this.recording.spawns.length);
+        this.recording.spawns.push([this.game.frameCount, kind, x, width, height, altitude]);
+    }
+
+    /**
+     * Note which dinos jumped or flipped ducking on the frame just played
+     */
+    recordStep() {
+        const frame = this.game.frameCount;
+        const records = this.recording.dinos;
+        this.recording.frames = frame;
+
+        for (let i = 0; i < this.dinos.length; i++) {
+            const dino = this.dinos[i];
+            const last = this.state[i];
+            if (dino.jumps !== last.jumps) {
+                records[i].jumps.push(frame);
+                last.jumps = dino.jumps;
+            }
+            if (dino.isDucking !== last.isDucking) {
+                records[i].ducks.push(frame);
+                last.isDucking = dino.isDucking;
+            }
+        }
+    }
+
+    recordDeath(dino, obstacle) {
+        const i = this.dinoIndex.get(dino);
+        if (i === undefined) return;
+        this.recording.dinos[i].death = [this.game.frameCount, this.spawnIndex.get(obstacle), dino.y];
+    }
+}
+
+// ============================================================================
+// REPLAY PLAYER - Re-runs a recording, frame by frame
+// ============================================================================
+class ReplayPlayer {
+    /**
+     * @param {Object} recording - From ReplayRecorder, or a saved replay file
+     * @throws {Error} If it isn't a replay this version can read
+     */
+    constructor(recording) {
+        checkFormat(recording, ['replay']);
+        this.recording = recording;
+        this.game = new Game({ ...recording.game, width: recording.width, height: recording.height });
+        this.desyncFrame = null;            // First frame that played differently from the recording
+
+        this.game.on('spawn', obstacle => this.checkSpawn(obstacle));
+        this.game.on('death', (dino, obstacle) => this.checkDeath(dino, obstacle));
+        this.restart();
+    }
+
+    /**
+     * Back to frame 0
+     */
+    restart() {
+        const recording = this.recording;
+        this.dinos = recording.dinos.map(() => new Dino());
+        this.cursors = recording.dinos.map(() => ({ jump: 0, duck: 0 }));
+        this.spawned = [];                  // Obstacles in spawn order (indices match recording.spawns)
+        this.deaths = [];                   // Deaths played so far: { frame, dino, box, obstacle }
+
+        this.game.curriculum.level = recording.level;
+        this.game.reset(this.dinos, { seed: recording.seed });
+    }
+
+    /**
+     * @returns {number} Last frame played
+     */
+    getFrame() {
+        return this.game.frameCount;
+    }
+
+    /**
+     * @returns {boolean} True once the recording is played to its end
+     */
+    isFinished() {
+        return this.game.frameCount >= this.recording.frames || this.game.aliveCount === 0;
+    }
+
+    /**
+     * Play one frame: the recorded actions, then the game
+     * @returns {boolean} False if already finished
+     */
+    step() {
+        if (this.isFinished()) return false;
+
+        const frame = this.game.frameCount + 1;
+        const records = this.recording.dinos;
+        for (let i = 0; i < records.length; i++) {
+            const cursor = this.cursors[i];
+            if (records[i].jumps[cursor.jump] === frame) {
+                this.dinos[i].jump();
+                cursor.jump++;
+            }
+            if (records[i].ducks[cursor.duck] === frame) {
+                cursor.duck++;
+                this.dinos[i].duck(cursor.duck % 2 === 1);      // Dinos start upright: odd flips duck
+            }
+        }
+
+        this.game.step();
+        return true;
+    }
+
+    /**
+     * Jump to a frame (replays from the start to go backwards)
+     * @param {number} frame
+     */
+    seek(frame) {
+        if (frame < this.game.frameCount) {
+            this.restart();
+        }
+        while (this.game.frameCount < frame && this.step()) {
+            // Play up to the frame
+        }
+    }
+
+    /**
+     * Deaths within the last few frames, to mark on screen
+     * @param {number} frames
+     * @returns {Object[]} { frame, dino, box, obstacle }
+     */
+    getRecentDeaths(frames) {
+        const now = this.game.frameCount;
+        return this.deaths.filter(death => now - death.frame < frames);
+    }
+
+    checkSpawn(obstacle) {
+        const expected = this.recording.spawns[this.spawned.length];
+        this.spawned.push(obstacle);
+        if (!expected || expected[0] !== this.game.frameCount || expected[1] !== obstacle.kind || expected[2] !== obstacle.x) {
+            this.noteDesync();
+        }
+    }
+
+    checkDeath(dino, obstacle) {
+        const i = this.dinos.indexOf(dino);
+        const spawn = this.spawned.indexOf(obstacle);
+        const { x, y, width, height } = dino;
+        this.deaths.push({
+            frame: this.game.frameCount,
+            dino: i,
+            box: { x, y, width, height },
+            obstacle: { kind: obstacle.kind, x: obstacle.x, width: obstacle.width, height: obstacle.height, altitude: obstacle.altitude }
+        });
+
+        const expected = this.recording.dinos[i].death;
+        if (!expected || expected[0] !== this.game.frameCount || expected[1] !== spawn) {
+            this.noteDesync();
+        }
+    }
+
+    noteDesync() {
+        if (this.desyncFrame === null) {
+            this.desyncFrame = this.game.frameCount;
+        }
+    }
+}
+
+/**
+ * Every death in a recording, earliest first
+ * @param {Object} recording
+ * @returns {Object[]} { frame, dino, y, obstacle: [frame, kind, x, width, height, altitude] }
+ */
+function listDeaths(recording) {
+    const deaths = [];
+    recording.dinos.forEach((record, dino) => {
+        if (record.death) {
+            const [frame, spawn, y] = record.death;
+            deaths.push({ frame, dino, y, obstacle: recording.spawns[spawn] });
+        }
+    });
+    return deaths.sort((a, b) => a.frame - b.frame || a.dino - b.dino);
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayRecorder, ReplayPlayer, listDeaths };
+}
@@ -0,0 +1,206 @@
+/**
+ * SENSORS.JS - What a dino's brain sees
+ * Each sensor turns the game state into a few normalized inputs [0-1].
+ * Game.getInputs() concatenates the game's active sensors (Game.sensors),
+ * so the brain's input count follows from the sensor set.
+ */
+
+// ============================================================================
+// SENSOR REGISTRY - name -> { title, labels(game), read(game, dino), write(game, dino, target, offset) }
+// ============================================================================
+const SENSORS = {};
+
+/**
+ * Add a sensor (or replace one) so games can list it in their sensors setting.
+ * Give read() or write(), or both; the missing one is built from the other.
+ * write() is what batched brains use every frame, so a sensor that has it
+ * builds no arrays while dinos think.
+ * @param {string} name - Key used in Game.sensors
+ * @param {Object} sensor - { title, labels(game) -> string[], read(game, dino) -> number[],
+ *                          write(game, dino, target, offset) -> offset after its values }
+ *                          Both give one value per label
+ */
+function registerSensor(name, sensor) {
+    SENSORS[name] = {
+        read(game, dino) {
+            const values = [];
+            sensor.write(game, dino, values, 0);
+            return values;
+        },
+        write(game, dino, target, offset) {
+            for (const value of sensor.read(game, dino)) {
+                target[offset++] = value;
+            }
+            return offset;
+        },
+        ...sensor
+    };
+}
+
+/**
+ * Clamp a value to [0, 1]
+ */
+function unit(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// ============================================================================
+// BUILT-IN SENSORS
+// ============================================================================
+const VISION_RANGE = 400;               // How far vision rays reach (px)
+const VISION_SPREAD = [-0.2, 0.8];      // Lowest and highest ray angle (radians, 0 = straight ahead)
+const IMPACT_HORIZON = 60;              // Time to impact is measured up to this many frames
+
+registerSensor('obstacles', {
+    title: 'Next obstacles',
+    labels(game) {
+        const labels = [];
+        for (let i = 1; i <= game.lookahead; i++) {
+            const n = i === 1 ? '' : ` ${i}`;
+            labels.push(`Distance${n}`, `Obstacle H${n}`, `Obstacle W${n}`, `Altitude${n}`, `Bird${n}`);
+        }
+        return labels;
+    },
+    write(game, dino, target, offset) {
+        for (let i = 0; i < game.lookahead; i++) {
+            const obstacle = game.getObstacleAhead(dino, i);
+            if (!obstacle) {
+                // Nothing there: far away and empty
+                target[offset++] = 1;
+                target[offset++] = 0;
+                target[offset++] = 0;
+                target[offset++] = 0;
+                target[offset++] = 0;
+                continue;
+            }
+            target[offset++] = unit((obstacle.x - (dino.x + dino.width)) / game.width);    // Distance
+            target[offset++] = unit(obstacle.height / 60);                                  // Height (max 60)
+            target[offset++] = unit(obstacle.width / 40);                                   // Width (max 40)
+            target[offset++] = unit(obstacle.altitude / 60);                                // Altitude (max 60)
+            target[offset++] = obstacle.kind === 'bird' ? 1 : 0;                            // Bird or cactus
+        }
+        return offset;
+    }
+});
+
+registerSensor('gap', {
+    title: 'Gap after next obstacle',
+    labels: () => ['Gap'],
+    write(game, dino, target, offset) {
+        const first = game.getObstacleAhead(dino, 0);
+        const second = game.getObstacleAhead(dino, 1);
+        target[offset] = first && second ? unit((second.x - (first.x + first.width)) / game.width) : 1;
+        return offset + 1;
+    }
+});
+
+registerSensor('dinoY', {
+    title: 'Dino height',
+    labels: () => ['Dino Y'],
+    write(game, dino, target, offset) {
+        target[offset] = unit(dino.y / 100);
+        return offset + 1;
+    }
+});
+
+registerSensor('velocity', {
+    title: 'Vertical velocity',
+    labels: () => ['Velocity'],
+    write(game, dino, target, offset) {
+        target[offset] = unit((dino.velocity / dino.jumpStrength + 1) / 2);        // 0.5 = still
+        return offset + 1;
+    }
+});
+
+registerSensor('speed', {
+    title: 'Game speed',
+    labels: () => ['Speed'],
+    write(game, dino, target, offset) {
+        target[offset] = unit(game.gameSpeed / game.maxGameSpeed);
+        return offset + 1;
+    }
+});
+
+registerSensor('timeToImpact', {
+    title: 'Time to impact',
+    labels: () => ['Impact in'],
+    write(game, dino, target, offset) {
+        const obstacle = game.getObstacleAhead(dino, 0);
+        target[offset] = obstacle ? unit((obstacle.x - (dino.x + dino.width)) / game.gameSpeed / IMPACT_HORIZON) : 1;
+        return offset + 1;
+    }
+});
+
+registerSensor('vision', {
+    title: 'Vision rays',
+    labels(game) {
+        const labels = [];
+        for (let i = 1; i <= game.visionRays; i++) {
+            labels.push(`Ray ${i}`);
+        }
+        return labels;
+    },
+    write(game, dino, target, offset) {
+        // Rays fan out from the dino's eye; each reports the nearest obstacle it hits
+        const eyeX = dino.x + dino.width;
+        const eyeY = dino.y + dino.height * 0.75;
+        const low = VISION_SPREAD[0];
+        const high = VISION_SPREAD[1];
+        const obstacles = game.obstacles;
+
+        for (let i = 0; i < game.visionRays; i++) {
+            const angle = game.visionRays === 1 ? 0 : low + (high - low) * i / (game.visionRays - 1);
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+
+            let nearest = VISION_RANGE;
+            for (let o = 0; o < obstacles.length; o++) {
+                const obstacle = obstacles[o];
+                if (obstacle.x + obstacle.width <= dino.x) continue;   // Already passed
+                if (obstacle.x - eyeX > nearest) break;     // Sorted by x: the rest are further
+                const hit = rayHitsBox(eyeX, eyeY, dx, dy, obstacle);
+                if (hit !== null && hit < nearest) {
+                    nearest = hit;
+                }
+            }
+            target[offset++] = nearest / VISION_RANGE;      // 1 = nothing in range
+        }
+        return offset;
+    }
+});
+
+/**
+ * Distance along a ray to an obstacle's box (slab test), or null if it misses
+ * @param {number} x - Ray origin
+ * @param {number} y - Ray origin (height above ground)
+ * @param {number} dx - Unit direction
+ * @param {number} dy - Unit direction
+ * @param {Obstacle} obstacle
+ * @returns {number|null}
+ */
+function rayHitsBox(x, y, dx, dy, obstacle) {
+    let near = 0;
+    let far = Infinity;
+
+    // One slab per axis: horizontal, then vertical
+    for (let axis = 0; axis < 2; axis++) {
+        const origin = axis === 0 ? x : y;
+        const direction = axis === 0 ? dx : dy;
+        const min = axis === 0 ? obstacle.x : obstacle.altitude;
+        const max = min + (axis === 0 ? obstacle.width : obstacle.height);
+        if (direction === 0) {
+            if (origin < min || origin > max) return null;
+            continue;
+        }
+        const t1 = (min - origin) / direction;
+        const t2 = (max - origin) / direction;
+        near = Math.max(near, Math.min(t1, t2));
+        far = Math.min(far, Math.max(t1, t2));
+    }
+    return near <= far ? near : null;
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SENSORS, registerSensor, rayHitsBox };
+}
@@ -0,0 +1,204 @@
+/**
+ * STRATEGIES.JS - How a population picks parents and makes children
+ * Three registries, one per step of reproduction. A population names the
+ * entry it uses for each (Population.selection, .crossover, .mutation), so
+ * runs can swap them and be compared like for like.
+ */
+
+// ============================================================================
+// SELECTION - name -> { title, select(ranked, population) -> network }
+// ============================================================================
+const SELECTION_STRATEGIES = {};
+
+/**
+ * Add a selection strategy (or replace one)
+ * @param {string} name - Key used in Population.selection
+ * @param {Object} strategy - { title, select(ranked, population) }: ranked is
+ *                            [{ network, fitness }], best first; returns one network
+ */
+function registerSelection(name, strategy) {
+    SELECTION_STRATEGIES[name] = strategy;
+}
+
+const TRUNCATION_SHARE = 0.3;           // Truncation: top fraction allowed to breed
+
+/**
+ * Pick one entry with probability proportional to its weight (uniform if all are 0)
+ */
+function pickWeighted(entries, weights, rng) {
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0) {
+        return entries[Math.floor(rng.random() * entries.length)];
+    }
+
+    let target = rng.random() * total;
+    for (let i = 0; i < entries.length; i++) {
+        target -= weights[i];
+        if (target < 0) return entries[i];
+    }
+    return entries[entries.length - 1];
+}
+
+registerSelection('tournament', {
+    title: 'Tournament (best of k)',
+    select(ranked, population) {
+        // Pick the best of a few random candidates
+        let best = null;
+        let bestFitness = -Infinity;
+
+        for (let i = 0; i < population.tournamentSize; i++) {
+            const candidate = ranked[Math.floor(population.rng.random() * ranked.length)];
+            if (candidate.fitness > bestFitness) {
+                best = candidate.network;
+                bestFitness = candidate.fitness;
+            }
+        }
+        return best;
+    }
+});
+
+registerSelection('roulette', {
+    title: 'Roulette (fitness proportional)',
+    select(ranked, population) {
+        // Shift negative fitness so every weight is at least 0
+        const lowest = Math.min(0, ...ranked.map(entry => entry.fitness));
+        const weights = ranked.map(entry => entry.fitness - lowest);
+        return pickWeighted(ranked, weights, population.rng).network;
+    }
+});
+
+registerSelection('rank', {
+    title: 'Rank (linear)',
+    select(ranked, population) {
+        // Best gets n shares, the next n - 1, ... the worst 1: only the order counts
+        const weights = ranked.map((entry, i) => ranked.length - i);
+        return pickWeighted(ranked, weights, population.rng).network;
+    }
+});
+
+registerSelection('truncation', {
+    title: 'Truncation (top 30%)',
+    select(ranked, population) {
+        const cutoff = Math.max(1, Math.ceil(ranked.length * TRUNCATION_SHARE));
+        return ranked[Math.floor(population.rng.random() * cutoff)].network;
+    }
+});
+
+// ============================================================================
+// CROSSOVER - name -> { title, begin(length, rng) -> mix(a, b, index) }
+// ============================================================================
+const CROSSOVER_STRATEGIES = {};
+
+/**
+ * Add a crossover strategy (or replace one)
+ * @param {string} name - Key used in Population.crossover
+ * @param {Object} strategy - { title, begin(length, rng) }: called once per child with
+ *                            the number of values both parents share; returns
+ *                            mix(a, b, index), the child's value from the parents' values
+ */
+function registerCrossover(name, strategy) {
+    CROSSOVER_STRATEGIES[name] = strategy;
+}
+
+registerCrossover('uniform', {
+    title: 'Uniform',
+    begin: (length, rng) => (a, b) => rng.random() < 0.5 ? a : b
+});
+
+registerCrossover('singlePoint', {
+    title: 'Single point',
+    begin(length, rng) {
+        // Values before the cut come from the first parent, the rest from the second
+        const point = Math.floor(rng.random() * (length + 1));
+        return (a, b, index) => index < point ? a : b;
+    }
+});
+
+registerCrossover('arithmetic', {
+    title: 'Arithmetic blend',
+    begin(length, rng) {
+        // One random blend ratio per child
+        const share = rng.random();
+        return (a, b) => a * share + b * (1 - share);
+    }
+});
+
+// ============================================================================
+// MUTATION - name -> { title, mutate(brain, population), adapt?(population) }
+// ============================================================================
+const MUTATION_STRATEGIES = {};
+
+/**
+ * Add a mutation strategy (or replace one)
+ * @param {string} name - Key used in Population.mutation
+ * @param {Object} strategy - { title, mutate(brain, population) } to mutate one child,
+ *                            optionally adapt(population), called once per generation
+ *                            after its history entry is recorded
+ */
+function registerMutation(name, strategy) {
+    MUTATION_STRATEGIES[name] = strategy;
+}
+
+const ADAPT_FACTOR = 0.85;              // Adaptive: step scale change per generation
+const ADAPT_LIMITS = [0.1, 10];         // Adaptive: smallest and largest step scale
+const SELF_ADAPT_RATE = 0.2;            // Self-adaptive: how fast a brain's own step size drifts
+
+/**
+ * Perturbations for brain.mutate(): value -> new value
+ */
+function uniformNoise(value, power, rng) {
+    return value + (rng.random() * 2 - 1) * power;
+}
+
+function gaussianNoise(value, power, rng) {
+    return value + rng.gaussian() * power;
+}
+
+registerMutation('uniform', {
+    title: 'Uniform noise (± power)',
+    mutate: (brain, population) => brain.mutate(population.mutationRate, population.mutationPower, uniformNoise)
+});
+
+registerMutation('gaussian', {
+    title: 'Gaussian noise (σ = power)',
+    mutate: (brain, population) => brain.mutate(population.mutationRate, population.mutationPower, gaussianNoise)
+});
+
+registerMutation('replace', {
+    title: 'Replace with a new random weight',
+    mutate: (brain, population) =>
+        brain.mutate(population.mutationRate, population.mutationPower, (value, power, rng) => rng.random() * 2 - 1)
+});
+
+registerMutation('adaptive', {
+    title: 'Adaptive (step shrinks while improving)',
+    mutate(brain, population) {
+        brain.mutate(population.mutationRate, population.mutationPower * population.mutationScale, gaussianNoise);
+    },
+    adapt(population) {
+        // Improving: search closer to the parents; stuck: search further away
+        if (population.history.length < 2) return;
+        const [previous, latest] = population.history.slice(-2);
+        const factor = latest.best > previous.best ? ADAPT_FACTOR : 1 / ADAPT_FACTOR;
+        const [min, max] = ADAPT_LIMITS;
+        population.mutationScale = Math.max(min, Math.min(max, population.mutationScale * factor));
+    }
+});
+
+registerMutation('selfAdaptive', {
+    title: 'Self-adaptive (step size evolves per brain)',
+    mutate(brain, population) {
+        // Each brain carries its own step size, mutated first and inherited by its children
+        const power = brain.mutationPower || population.mutationPower;
+        brain.mutationPower = power * Math.exp(SELF_ADAPT_RATE * population.rng.gaussian());
+        brain.mutate(population.mutationRate, brain.mutationPower, gaussianNoise);
+    }
+});
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SELECTION_STRATEGIES, registerSelection, CROSSOVER_STRATEGIES, registerCrossover,
+        MUTATION_STRATEGIES, registerMutation, uniformNoise, gaussianNoise
+    };
+}
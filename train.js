@@ -0,0 +1,193 @@
+/**
+ * TRAIN.JS - Train from the command line
+ * Runs the same simulation as the page under Node (see headless.js), without
+ * rendering. Prints every generation, writes checkpoints, and exports the
+ * champion as a brain file the page can import.
+ *
+ *   node train.js --generations 500 --pop 200 --seed 42 --out best.json
+ *
+ * Run with --help for every option. Ctrl+C stops after the running generation
+ * and still writes the checkpoint and champion.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Game, Population, Trainer, SeededRandom, defaultConfig, validateConfig } = require('./headless.js');
+const { historyToCSV } = require('./charts.js');
+
+const USAGE = `Usage: node train.js [options]
+
+  --generations N     Generations to train (default 100)
+  --pop N             Population size (default ${defaultConfig().population.size})
+  --seed N            Seed of the run; same seed = same run as ?seed=N in the page (default random)
+  --config FILE       Settings as JSON: { population, game, training }, like the settings panel
+  --resume FILE       Continue a checkpoint (its seed and settings are used)
+  --out FILE          Champion brain (default best.json)
+  --checkpoint FILE   Checkpoint, importable in the page (default checkpoint.json)
+  --every N           Write the checkpoint and champion every N generations (default 10)
+  --log FILE          Per-generation history as CSV
+  --max-frames N      Frame limit per training track, so a perfect brain can't run forever (default 100000).
+                      The validation track has its own limit, training.validationFrames (default 5000)
+  --help              Show this help`;
+
+const OPTIONS = {
+    generations: { type: 'string', default: '100' },
+    pop: { type: 'string' },
+    seed: { type: 'string' },
+    config: { type: 'string' },
+    resume: { type: 'string' },
+    out: { type: 'string', default: 'best.json' },
+    checkpoint: { type: 'string', default: 'checkpoint.json' },
+    every: { type: 'string', default: '10' },
+    log: { type: 'string' },
+    'max-frames': { type: 'string', default: '100000' },
+    help: { type: 'boolean', default: false }
+};
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+/**
+ * Parse a whole-number option
+ * @throws {Error} If it isn't one (or is below min)
+ */
+function readCount(values, name, min = 1) {
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`--${name} must be a whole number of at least ${min}`);
+    }
+    return value;
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJSON(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data));
+}
+
+/**
+ * A trainer for a new run or a resumed checkpoint
+ * @param {Object} values - Parsed options
+ * @returns {Trainer}
+ */
+function createTrainer(values) {
+    if (values.resume) {
+        // Sizes come from the checkpoint: start from any valid population and replace it
+        const trainer = createTrainer({ ...values, resume: null, config: null, pop: null, seed: '0' });
+        trainer.loadCheckpoint(readJSON(values.resume));
+        return trainer;
+    }
+
+    const settings = values.config ? readJSON(values.config) : {};
+    if (values.pop) {
+        settings.population = { ...settings.population, size: readCount(values, 'pop', 2) };
+    }
+    const config = validateConfig(settings);
+    const seed = values.seed === undefined ? SeededRandom.randomSeed() : readCount(values, 'seed', 0);
+
+    const game = new Game(config.game);
+    const { size, hiddenLayers } = config.population;
+    const population = new Population(size, game.getInputLabels().length, hiddenLayers,
+        game.getOutputLabels().length, config.population);
+    const trainer = new Trainer(game, population, config.training);
+    trainer.reset(new SeededRandom(seed), config);
+    return trainer;
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * One line per generation: its fitness, scores, difficulty and time taken
+ */
+function formatGeneration(entry, population, ms) {
+    const columns = [
+        `gen ${String(entry.generation).padStart(5)}`,
+        `best ${entry.best.toFixed(1).padStart(9)}`,
+        `mean ${entry.mean.toFixed(1).padStart(9)}`,
+        `score ${String(entry.bestScore).padStart(6)}`,
+        `validation ${Number.isFinite(entry.validation)
+            ? `${String(entry.validation).padStart(6)} at level ${entry.validationLevel}` : '     -'}`,
+        `level ${entry.level}`
+    ];
+    if (population.species.length > 0) {
+        columns.push(`species ${String(population.species.length).padStart(2)}`);
+    }
+    columns.push(`${(ms / 1000).toFixed(1)}s`);
+    return columns.join('  ');
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+async function main() {
+    const { values } = parseArgs({ options: OPTIONS });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const generations = readCount(values, 'generations');
+    const every = readCount(values, 'every');
+    const maxFrames = readCount(values, 'max-frames');
+    const trainer = createTrainer(values);
+    console.log(`Seed ${trainer.population.rng.seed}, population ${trainer.population.size}, ` +
+        `generation ${trainer.population.generation}`);
+
+    // The champion is the best brain of the generation that did best on the
+    // held-out validation track (with validation off: of the latest generation)
+    let champion = null;
+    let championScore = -Infinity;
+
+    const save = () => {
+        writeJSON(values.checkpoint, trainer.toJSON());
+        if (champion) {
+            writeJSON(values.out, champion.toJSON());
+        }
+        if (values.log) {
+            fs.writeFileSync(values.log, historyToCSV(trainer.population.history));
+        }
+    };
+
+    // Ctrl+C: finish the running generation, save and stop
+    let stopping = false;
+    process.on('SIGINT', () => {
+        if (stopping) process.exit(130);
+        stopping = true;
+        console.log('Stopping after this generation (Ctrl+C again to quit without saving)');
+    });
+
+    for (let i = 1; i <= generations && !stopping; i++) {
+        const started = Date.now();
+        trainer.train(1, maxFrames);
+
+        const population = trainer.population;
+        const entry = population.history[population.history.length - 1];
+        const score = Number.isFinite(entry.validation) ? entry.validation : -Infinity;
+        if (score >= championScore) {
+            champion = population.bestNetwork;
+            championScore = score;
+        }
+        console.log(formatGeneration(entry, population, Date.now() - started));
+
+        if (i % every === 0) {
+            save();
+        }
+
+        // Let Ctrl+C through between generations
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    save();
+    console.log(`Wrote ${values.checkpoint}` + (champion ? ` and ${values.out}` : '') +
+        (values.log ? ` and ${values.log}` : '') + `; best score ${trainer.bestScore}`);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
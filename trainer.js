@@ -0,0 +1,429 @@
+/**
+ * TRAINER.JS - Generation lifecycle
+ * Runs the Population through the Game one tick at a time, independent of
+ * any render loop, so the same code drives the page and headless runs
+ */
+
+// ============================================================================
+// TRAINING DEFAULTS - How each generation is evaluated (overridable per trainer)
+// ============================================================================
+const TRAINING_DEFAULTS = {
+    tracks: 1,                          // Tracks every brain plays per generation
+    aggregate: 'mean',                  // Fitness over the tracks: 'mean' or 'min'
+    validationFrames: 5000,             // Frame limit on the validation track (0 = no validation)
+    validationLevel: MAX_LEVEL,         // Difficulty level of the validation track ('adaptive' difficulty)
+    replays: 5,                         // Latest generations kept as replays (0 = don't record)
+    hallOfFameSize: 10                  // Best generation champions kept (see halloffame.js)
+};
+
+// ============================================================================
+// TRAINER - Connects a Game to a Population
+// ============================================================================
+class Trainer extends EventEmitter {
+    /**
+     * @param {Game} game
+     * @param {Population} population
+     * @param {Object} options - Any of TRAINING_DEFAULTS
+     */
+    constructor(game, population, options = {}) {
+        super();
+        this.game = game;
+        this.population = population;
+        this.hallOfFame = new HallOfFame();
+        this.configure({ ...TRAINING_DEFAULTS, ...options });
+
+        this.dinos = [];                    // Dinos on the track being played
+        this.bestScore = 0;                 // All-time best score
+        this.generationStartRng = null;     // RNG position when the running generation began
+
+        // Tracks of the running generation, and every dino that finished one
+        this.generationTracks = [];
+        this.trackIndex = 0;
+        this.trackResults = [];             // Per finished track: its dinos, in network order
+
+        this.ticks = 0;                     // Simulation ticks run by this trainer (for measuring speed)
+
+        // Recordings of the latest tracks played, oldest first (see replay.js)
+        this.recorder = new ReplayRecorder(game);
+        this.recordings = [];
+    }
+
+    /**
+     * Change settings (any of TRAINING_DEFAULTS); they take effect from the next generation
+     * @param {Object} settings
+     */
+    configure(settings) {
+        for (const key of Object.keys(TRAINING_DEFAULTS)) {
+            if (settings[key] !== undefined) {
+                this[key] = settings[key];
+            }
+        }
+        this.hallOfFame.resize(this.hallOfFameSize);
+    }
+
+    /**
+     * Draw this generation's tracks and put the population on the first one.
+     * Every brain plays the same tracks, so a lucky course can't favour one.
+     */
+    startGeneration() {
+        this.generationStartRng = this.population.rng.toJSON();
+        this.generationTracks = [];
+        for (let i = 0; i < this.tracks; i++) {
+            this.generationTracks.push({ seed: this.population.rng.nextSeed() });
+        }
+        this.trackIndex = 0;
+        this.trackResults = [];
+        this.emit('generationStart', this);
+        this.startTrack();
+    }
+
+    /**
+     * Fresh dinos for the current population on the current track
+     */
+    startTrack() {
+        this.dinos = this.population.getAllNetworks().map(brain => new Dino(brain));
+        const track = this.generationTracks[this.trackIndex];
+        if (this.replays > 0) {
+            this.recorder.start(this.dinos, track, { generation: this.population.generation, track: this.trackIndex + 1 });
+        }
+        this.game.reset(this.dinos, track);
+    }
+
+    /**
+     * Advance one tick; moves to the next track, or evolves, once every dino is dead
+     * @returns {boolean} True if this tick finished a generation
+     */
+    step() {
+        if (this.dinos.length === 0) {
+            this.startGeneration();
+        }
+
+        this.game.step();
+        this.ticks++;
+
+        if (this.game.aliveCount === 0) {
+            return this.endTrack();
+        }
+        return false;
+    }
+
+    /**
+     * Record the track just played; start the next one or end the generation
+     * @returns {boolean} True if that finished the generation
+     */
+    endTrack() {
+        if (this.recorder.isRecording()) {
+            this.keepRecording(this.recorder.finish());
+        }
+        this.trackResults.push(this.dinos);
+        this.trackIndex++;
+        if (this.trackIndex < this.generationTracks.length) {
+            this.startTrack();
+            return false;
+        }
+
+        this.endGeneration();
+        return true;
+    }
+
+    /**
+     * Score the finished generation, evolve and start the next one
+     */
+    endGeneration() {
+        const results = this.trackResults;
+        const perBrain = (value, i) => results.map(dinos => value(dinos[i]));
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+        // Fitness over all tracks (the population's fitness function scores each track)
+        const trackFitness = results.map(dinos => this.population.evaluate(dinos));
+        const combine = this.aggregate === 'min' ? values => Math.min(...values) : mean;
+        const fitnessScores = results[0].map((dino, i) => combine(trackFitness.map(scores => scores[i])));
+
+        // Update best score
+        const genBestScore = Math.max(...results.flat().map(d => d.score));
+        if (genBestScore > this.bestScore) {
+            this.bestScore = genBestScore;
+        }
+
+        // The generation's best on a track it has never trained on
+        const bestIndex = fitnessScores.indexOf(Math.max(...fitnessScores));
+        const champion = this.population.getNetwork(bestIndex);
+        const validation = this.validate(champion);
+        const validationLevel = validation === null ? null : this.getValidationLevel();
+        this.hallOfFame.consider(champion, {
+            generation: this.population.generation,
+            score: mean(perBrain(d => d.score, bestIndex)),
+            fitness: fitnessScores[bestIndex],
+            validation,
+            validationLevel,
+            level: this.game.curriculum.getLevel()
+        });
+
+        // Evolve population (survivors = dinos that cleared at least one obstacle, per track)
+        this.population.evolve(fitnessScores, {
+            bestScore: genBestScore,
+            survivors: mean(results.map(dinos => dinos.filter(d => d.obstaclesCleared > 0).length)),
+            gameSpeed: Math.max(...results.map(dinos => Math.max(...dinos.map(d => d.speedReached)))),
+            level: this.game.curriculum.getLevel(),
+            validation,
+            validationLevel
+        });
+        this.game.curriculum.endGeneration(
+            results[0].map((dino, i) => mean(perBrain(d => d.obstaclesCleared, i)))
+        );
+        this.generationStartRng = null;
+        this.emit('generationEnd', this);
+
+        // Start new generation
+        this.startGeneration();
+    }
+
+    /**
+     * Add a track recording, dropping the oldest beyond the latest `replays` generations
+     * @param {Object} recording - See replay.js
+     */
+    keepRecording(recording) {
+        this.recordings.push(recording);
+        this.recordings = this.recordings.slice(-this.replays * this.tracks);
+        this.emit('recording', recording);
+    }
+
+    /**
+     * Held-out track of this run: derived from the run's seed, never trained on
+     * @returns {Object} { seed }
+     */
+    getValidationTrack() {
+        return { seed: (this.population.rng.seed ^ 0x5BD1E995) >>> 0 };
+    }
+
+    /**
+     * Difficulty the validation track is played at: validationLevel with adaptive
+     * difficulty, else the level the difficulty mode always plays. It doesn't follow
+     * training's level, so validation scores compare across generations.
+     * @returns {number}
+     */
+    getValidationLevel() {
+        return this.game.difficulty === 'adaptive' ? this.validationLevel : this.game.curriculum.getLevel();
+    }
+
+    /**
+     * Validate again the hall of fame entries whose validation score was taken at
+     * another level (or with validation off), so the hall ranks like with like.
+     * Saved runs from before validation had a level of its own need this.
+     */
+    revalidateHallOfFame() {
+        const level = this.validationFrames ? this.getValidationLevel() : null;
+        const stale = this.hallOfFame.entries.filter(entry => entry.validationLevel !== level);
+        for (const entry of stale) {
+            entry.validation = this.validate(brainFromJSON(entry.brain));
+            entry.validationLevel = level;
+        }
+        if (stale.length > 0) {
+            this.hallOfFame.rerank();
+        }
+    }
+
+    /**
+     * Score a brain on the validation track, away from the visible game
+     * @param {NeuralNetwork|Genome} brain
+     * @returns {number|null} Score reached (null when validation is off)
+     */
+    validate(brain) {
+        if (!this.validationFrames) return null;
+        return this.playTrack([brain], this.getValidationTrack(), { level: this.validationLevel }).dinos[0].score;
+    }
+
+    /**
+     * Let brains play a track on their own, away from the visible game
+     * (same settings as the game; nothing is trained)
+     * @param {Array<NeuralNetwork|Genome>} brains
+     * @param {Object} track - { seed }
+     * @param {Object} options - { maxFrames (default validationFrames), level (default the
+     *                             current one), label: record a replay with this label (see replay.js) }
+     * @returns {Object} { dinos, recording (null without a label) }
+     */
+    playTrack(brains, track, { maxFrames = this.validationFrames, level = this.game.curriculum.level, label = null } = {}) {
+        const game = new Game({ ...this.game.getConfig(), width: this.game.width, height: this.game.height });
+        game.curriculum.level = level;
+        const dinos = brains.map(brain => new Dino(brain));
+
+        const recorder = label ? new ReplayRecorder(game) : null;
+        if (recorder) {
+            recorder.start(dinos, track, label);
+        }
+        game.reset(dinos, track);
+        game.run(maxFrames);
+        return { dinos, recording: recorder ? recorder.finish() : null };
+    }
+
+    /**
+     * Run whole generations without rendering (headless training)
+     * @param {number} generations - Number of generations to evolve
+     * @param {number} maxFrames - Per-track frame limit
+     */
+    train(generations, maxFrames = Infinity) {
+        for (let i = 0; i < generations; i++) {
+            if (this.dinos.length === 0) {
+                this.startGeneration();
+            }
+            do {
+                this.ticks += this.game.run(maxFrames);
+            } while (!this.endTrack());
+        }
+    }
+
+    /**
+     * Checkpoint of the whole run, resumable with loadCheckpoint().
+     * Saved mid-generation, it restarts that generation from its beginning.
+     */
+    toJSON() {
+        const population = this.population.toJSON();
+        if (this.generationStartRng) {
+            population.rng = this.generationStartRng;
+        }
+
+        return {
+            type: 'checkpoint',
+            version: FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            bestScore: this.bestScore,
+            game: this.game.getConfig(),
+            training: this.getConfig().training,
+            curriculum: this.game.curriculum.toJSON(),
+            hallOfFame: this.hallOfFame.toJSON(),
+            population
+        };
+    }
+
+    /**
+     * Resume a run saved with toJSON(). Replaces this.population.
+     * @param {Object} data - Parsed checkpoint JSON
+     */
+    loadCheckpoint(data) {
+        checkFormat(data, ['checkpoint']);
+
+        // The saved brains must fit the saved game's sensors (and this game's actions)
+        const savedGame = new Game({ ...this.game.getConfig(), ...data.game });
+        const needsInputs = savedGame.getInputLabels().length;
+        const needsOutputs = savedGame.getOutputLabels().length;
+        const { inputCount, outputCount } = data.population;
+        if (inputCount !== needsInputs || outputCount !== needsOutputs) {
+            throw new Error(`Checkpoint brains have ${inputCount} inputs and ${outputCount} outputs, ` +
+                `this game needs ${needsInputs} and ${needsOutputs}`);
+        }
+
+        this.population = Population.fromJSON(data.population);
+        this.game.rng = this.population.rng;
+        this.game.configure(savedGame.getConfig());
+        this.game.curriculum.restore(data.curriculum || { level: 0 });
+        this.configure({ ...TRAINING_DEFAULTS, ...data.training });
+        this.hallOfFame.restore(data.hallOfFame || []);
+        this.revalidateHallOfFame();
+        this.bestScore = data.bestScore;
+        this.abandonGeneration();
+    }
+
+    /**
+     * Restart evolution from a single saved brain (see Population.populateFrom)
+     * @param {Object} data - Parsed brain JSON
+     */
+    loadBrain(data) {
+        this.population.populateFrom(data);
+        this.abandonGeneration();
+    }
+
+    /**
+     * Put a saved brain (e.g. from the hall of fame) back into the population;
+     * the running generation restarts with it
+     * @param {Object} data - Brain JSON (see Population.inject)
+     */
+    injectBrain(data) {
+        this.population.inject(data);
+        this.abandonGeneration();
+    }
+
+    /**
+     * Drop the running generation; the next step() starts a fresh one
+     */
+    abandonGeneration() {
+        this.dinos = [];
+        this.generationStartRng = null;
+        this.generationTracks = [];
+        this.trackIndex = 0;
+        this.trackResults = [];
+        this.recorder.cancel();
+        this.game.reset();
+    }
+
+    /**
+     * Numbers for a stats display
+     * @returns {Object} { generation, aliveCount, bestScore, bestFitness, avgFitness,
+     *                     species, level, track, tracks, validation, ticks }
+     */
+    getStats() {
+        const population = this.population;
+        const last = population.history[population.history.length - 1];
+        return {
+            generation: population.generation,
+            aliveCount: this.game.aliveCount,
+            bestScore: this.bestScore,                      // All-time
+            bestFitness: population.bestFitness,            // Last finished generation
+            avgFitness: population.avgFitness,
+            species: population.species.length,             // NEAT only
+            level: this.game.difficulty === 'fixed' ? null : this.game.curriculum.getLevel(),
+            track: this.trackIndex + 1,
+            tracks: this.generationTracks.length,           // 0 between generations
+            validation: last && Number.isFinite(last.validation) ? last.validation : null,
+            ticks: this.ticks
+        };
+    }
+
+    /**
+     * Settings of the run: { population, game, training }
+     * (see Population.configure, Game.configure and Trainer.configure)
+     * @returns {Object}
+     */
+    getConfig() {
+        const training = {};
+        for (const key of Object.keys(TRAINING_DEFAULTS)) {
+            training[key] = this[key];
+        }
+        return {
+            population: this.population.getConfig(),
+            game: this.game.getConfig(),
+            training
+        };
+    }
+
+    /**
+     * Forget all progress (population and best score)
+     * @param {SeededRandom} rng - Start a new run from this generator (shared by game and population)
+     * @param {Object} config - New settings for the run, as returned by getConfig()
+     */
+    reset(rng = null, config = null) {
+        if (rng) {
+            this.game.rng = rng;
+            this.population.rng = rng;
+        }
+        if (config) {
+            this.game.configure(config.game);
+            this.population.configure(config.population);
+            this.configure(config.training || {});
+        }
+
+        // Brain sizes follow from the game's sensors and actions
+        this.population.inputCount = this.game.getInputLabels().length;
+        this.population.outputCount = this.game.getOutputLabels().length;
+        this.population.reset();
+        this.game.curriculum.level = 0;
+        this.bestScore = 0;
+        this.recordings = [];
+        this.hallOfFame.clear();
+        this.abandonGeneration();
+    }
+}
+
+// Node support: the browser shares these as globals, Node needs them exported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TRAINING_DEFAULTS, Trainer };
+}
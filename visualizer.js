@@ -0,0 +1,199 @@
+/**
+ * VISUALIZER.JS - Live neural network view
+ * Draws the brain of the highlighted dino: inputs on the left, output on the
+ * right, hidden nodes in between. Works for fixed (and recurrent) networks
+ * and NEAT genomes.
+ */
+
+// ============================================================================
+// NETWORK VISUALIZER - Draws a brain's topology and activations
+// ============================================================================
+class NetworkVisualizer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Game} game - Follows this game's best dino
+     */
+    constructor(canvas, game) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.game = null;
+
+        this.enabled = true;
+        this.frameRequested = false;
+        this.padding = { top: 24, right: 64, bottom: 24, left: 78 };
+        this.nodeRadius = 9;
+
+        // Colors
+        this.colors = {
+            background: '#1a1f3a',
+            positive: '16, 185, 129',           // Green (rgb) for positive weights
+            negative: '239, 68, 68',            // Red (rgb) for negative weights
+            node: '99, 102, 241',               // Accent (rgb), brightness = activation
+            border: '#475569',
+            text: '#cbd5e1',
+            muted: '#64748b'
+        };
+
+        this.onChange = () => this.requestDraw();
+        this.attach(game);
+    }
+
+    /**
+     * Follow a different game (e.g. a race instead of training)
+     * @param {Game} game
+     */
+    attach(game) {
+        if (this.game) {
+            this.game.off('step', this.onChange);
+            this.game.off('reset', this.onChange);
+        }
+        this.game = game;
+        game.on('step', this.onChange);
+        game.on('reset', this.onChange);
+        this.requestDraw();
+    }
+
+    /**
+     * Schedule a draw on the next animation frame
+     */
+    requestDraw() {
+        if (!this.enabled || this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * The dino whose brain is shown: the highlighted best, or any AI dino still running
+     * @returns {Dino|null}
+     */
+    getTrackedDino() {
+        const best = this.game.bestDino;
+        if (best && best.isAlive && best.brain) return best;
+        return this.game.dinos.find(dino => dino.isAlive && dino.brain) || null;
+    }
+
+    /**
+     * Draw the tracked dino's brain (no-op while disabled)
+     */
+    draw() {
+        if (!this.enabled) return;
+
+        const ctx = this.ctx;
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const dino = this.getTrackedDino();
+        if (!dino) {
+            ctx.fillStyle = this.colors.muted;
+            ctx.font = '14px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText('No brain to show yet', this.canvas.width / 2, this.canvas.height / 2);
+            ctx.textAlign = 'start';
+            return;
+        }
+
+        const topology = dino.brain.getTopology();
+        const activations = dino.brain.getActivations();
+        const positions = this.layout(topology);
+
+        this.drawConnections(topology.connections, positions);
+        this.drawNodes(topology.nodes, positions, activations);
+    }
+
+    /**
+     * Spread nodes over columns by layer, evenly spaced within each column
+     * @returns {Map<number, {x: number, y: number}>} Node id -> canvas position
+     */
+    layout(topology) {
+        const { top, right, bottom, left } = this.padding;
+        const width = this.canvas.width - left - right;
+        const height = this.canvas.height - top - bottom;
+
+        const columns = [];
+        for (const node of topology.nodes) {
+            (columns[node.layer] = columns[node.layer] || []).push(node);
+        }
+
+        const positions = new Map();
+        const lastLayer = Math.max(1, topology.layerCount - 1);
+        columns.forEach((column, layer) => {
+            const x = left + width * layer / lastLayer;
+            column.forEach((node, i) => {
+                const y = top + height * (i + 1) / (column.length + 1);
+                positions.set(node.id, { x, y });
+            });
+        });
+        return positions;
+    }
+
+    /**
+     * Edges: green positive, red negative; thicker and more opaque = larger weight.
+     * Recurrent edges curve back within their layer (a loop from a neuron to itself).
+     */
+    drawConnections(connections, positions) {
+        const ctx = this.ctx;
+
+        for (const connection of connections) {
+            if (!connection.enabled) continue;
+
+            const from = positions.get(connection.from);
+            const to = positions.get(connection.to);
+            const strength = Math.min(Math.abs(connection.weight), 3) / 3;
+            const rgb = connection.weight >= 0 ? this.colors.positive : this.colors.negative;
+
+            ctx.strokeStyle = `rgba(${rgb}, ${0.2 + strength * 0.7})`;
+            ctx.lineWidth = 0.5 + strength * 3.5;
+            ctx.beginPath();
+            if (connection.recurrent && connection.from === connection.to) {
+                ctx.arc(from.x + this.nodeRadius, from.y - this.nodeRadius, this.nodeRadius * 0.7, 0, Math.PI * 2);
+            } else if (connection.recurrent) {
+                ctx.moveTo(from.x, from.y);
+                ctx.quadraticCurveTo(from.x + Math.abs(to.y - from.y) / 2, (from.y + to.y) / 2, to.x, to.y);
+            } else {
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+            }
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Nodes: brightness = current activation; inputs and output are labelled
+     */
+    drawNodes(nodes, positions, activations) {
+        const ctx = this.ctx;
+        const inputLabels = this.game.getInputLabels();
+        const outputLabels = this.game.getOutputLabels();
+        let inputIndex = 0;
+        let outputIndex = 0;
+
+        ctx.font = '11px Inter';
+        for (const node of nodes) {
+            const { x, y } = positions.get(node.id);
+            const value = activations.has(node.id) ? activations.get(node.id) : 0;
+            const brightness = Math.max(0, Math.min(1, value));
+
+            ctx.fillStyle = `rgba(${this.colors.node}, ${0.15 + brightness * 0.85})`;
+            ctx.strokeStyle = this.colors.border;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(x, y, this.nodeRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.text;
+            if (node.type === 'input' || node.type === 'bias') {
+                const label = node.type === 'bias' ? 'Bias' : inputLabels[inputIndex++];
+                ctx.textAlign = 'right';
+                ctx.fillText(label, x - this.nodeRadius - 6, y + 4);
+            } else if (node.type === 'output') {
+                ctx.textAlign = 'left';
+                ctx.fillText(`${outputLabels[outputIndex++]} ${value.toFixed(2)}`, x + this.nodeRadius + 5, y + 4);
+            }
+        }
+        ctx.textAlign = 'start';
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * WORKER.JS - Training in a Dedicated Web Worker
+ * Runs the same simulation as the page (Game, Population, Trainer) off the
+ * main thread and as fast as it can, reporting back by message. The page side
+ * and the message protocol are in backend.js.
+ */
+
+importScripts(
+    'random.js', 'neat.js', 'strategies.js', 'es.js', 'sensors.js', 'fitness.js',
+    'game.js', 'curriculum.js', 'replay.js', 'halloffame.js', 'trainer.js', 'config.js'
+);
+
+// Configuration
+const CHUNK_MS = 50;                    // Simulation time between checks for new messages
+const FRAME_INTERVAL_MS = 33;           // Sampled frames sent to the page (about 30 per second)
+const STATS_INTERVAL_MS = 250;          // Stats sent to the page
+const SNAPSHOT_INTERVAL_MS = 1000;      // Checkpoints sent at most this often (when a generation ends)
+
+let trainer = null;
+let epoch = 0;                          // Of the run being trained (see backend.js)
+let running = false;
+let chunkTimer = null;
+let lastFrame = 0;
+let lastStats = 0;
+let lastSnapshot = 0;
+let sentBrain = null;                   // Brain last sent with a frame (brains are sent once)
+let recordings = [];                    // Replays finished since the last snapshot
+
+// ============================================================================
+// MESSAGES - page -> worker
+// ============================================================================
+self.onmessage = (e) => {
+    const message = e.data;
+    epoch = message.epoch;
+
+    switch (message.type) {
+        case 'init': {
+            // A default run until the page sends its own with reset or load
+            const defaults = defaultConfig();
+            const game = new Game({ width: message.width, height: message.height, ...defaults.game });
+            const { size, hiddenLayers } = defaults.population;
+            const population = new Population(size, game.getInputLabels().length, hiddenLayers,
+                game.getOutputLabels().length, defaults.population);
+            trainer = new Trainer(game, population, defaults.training);
+            trainer.on('recording', recording => recordings.push(recording));
+            break;
+        }
+        case 'reset':
+            trainer.reset(new SeededRandom(message.seed), message.config);
+            sentBrain = null;
+            recordings = [];
+            break;
+        case 'load':
+            trainer.loadCheckpoint(message.checkpoint);
+            sentBrain = null;
+            recordings = [];
+            break;
+        case 'start':
+            if (!running) {
+                running = true;
+                runChunk();
+            }
+            break;
+        case 'pause':
+            running = false;
+            clearTimeout(chunkTimer);
+            postFrame();
+            postStats();
+            postSnapshot();
+            break;
+    }
+};
+
+// ============================================================================
+// TRAINING LOOP
+// ============================================================================
+
+/**
+ * Train for one chunk of time, then yield so pause and reset get through
+ */
+function runChunk() {
+    const deadline = performance.now() + CHUNK_MS;
+    while (running && performance.now() < deadline) {
+        if (trainer.step() && performance.now() - lastSnapshot >= SNAPSHOT_INTERVAL_MS) {
+            postSnapshot();
+        }
+
+        const now = performance.now();
+        if (now - lastFrame >= FRAME_INTERVAL_MS) {
+            postFrame();
+        }
+        if (now - lastStats >= STATS_INTERVAL_MS) {
+            postStats();
+        }
+    }
+
+    if (running) {
+        chunkTimer = setTimeout(runChunk, 0);
+    }
+}
+
+// ============================================================================
+// MESSAGES - worker -> page
+// ============================================================================
+
+/**
+ * The scene as it is now: obstacles and the best dino only
+ */
+function postFrame() {
+    const game = trainer.game;
+    const best = game.bestDino && game.bestDino.isAlive ? game.bestDino : null;
+    let view = null;
+    if (best) {
+        const { x, y, width, height, score } = best;
+        view = { x, y, width, height, score, isAlive: true, inputs: game.getInputs(best) };
+        if (best.brain.recurrent) {
+            // Its values depend on what it remembers, so the page can't work them out from the inputs
+            view.activations = best.brain.lastActivations.map(values => Array.from(values));
+        }
+        if (best.brain !== sentBrain) {
+            view.brain = best.brain.toJSON();
+            sentBrain = best.brain;
+        }
+    }
+
+    self.postMessage({
+        type: 'frame',
+        epoch,
+        frame: {
+            frameCount: game.frameCount,
+            gameSpeed: game.gameSpeed,
+            aliveCount: game.aliveCount,
+            obstacles: game.obstacles.map(({ kind, x, width, height, altitude }) => ({ kind, x, width, height, altitude })),
+            best: view
+        }
+    });
+    lastFrame = performance.now();
+}
+
+function postStats() {
+    self.postMessage({ type: 'stats', epoch, stats: trainer.getStats() });
+    lastStats = performance.now();
+}
+
+/**
+ * The whole run as a checkpoint, so the page can chart, save and race it,
+ * plus the replays recorded since the last one
+ */
+function postSnapshot() {
+    self.postMessage({ type: 'snapshot', epoch, checkpoint: trainer.toJSON(), recordings });
+    recordings = [];
+    lastSnapshot = performance.now();
+}